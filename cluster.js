@@ -0,0 +1,152 @@
+/**
+ * Running several API instances behind a load balancer
+ * - Player events go through a pub/sub bus so every instance can deliver them to its own
+ *   WebSocket and SSE clients. `memory` (default) only reaches the local process; `redis`
+ *   works with any Redis-compatible server (Redis, Valkey, KeyDB, ...) at REDIS_URL.
+ * - Jobs that must run once per cluster (stale-session cleanup, statistics sampling) run
+ *   on the instance holding a lease in the shared database (LeaderElection).
+ */
+
+const { logger } = require('./logger');
+
+const BUS_BACKENDS = ['memory', 'redis'];
+
+// Messages are JSON-serialized on every bus, so handlers see the same shape everywhere
+class MemoryBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    async connect() {}
+
+    // Delivered synchronously, so a single instance sees its own events in order
+    async publish(channel, message) {
+        const payload = JSON.stringify(message);
+        (this.handlers.get(channel) || []).forEach(handler => handler(JSON.parse(payload)));
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(handler);
+    }
+
+    async close() {
+        this.handlers.clear();
+    }
+}
+
+class RedisBus {
+    // options: { createClient } - stands in for the redis package's createClient, e.g. to
+    // run against a fake client (see test-cluster.js)
+    constructor(url, { createClient = require('redis').createClient } = {}) {
+        // A subscribed Redis connection can't publish, so there is one of each
+        this.publisher = createClient({ url });
+        this.subscriber = this.publisher.duplicate();
+
+        this.publisher.on('error', err => logger.error('Redis publisher error', err));
+        this.subscriber.on('error', err => logger.error('Redis subscriber error', err));
+    }
+
+    async connect() {
+        await this.publisher.connect();
+        await this.subscriber.connect();
+    }
+
+    async publish(channel, message) {
+        await this.publisher.publish(channel, JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        await this.subscriber.subscribe(channel, (payload) => {
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (error) {
+                logger.warn('Ignoring malformed bus message', { channel, err: error });
+                return;
+            }
+            handler(message);
+        });
+    }
+
+    // Drop the connections right away; waiting on an unreachable server would stall shutdown
+    async close() {
+        await Promise.allSettled([this.subscriber.disconnect(), this.publisher.disconnect()]);
+    }
+}
+
+// options: { backend, redisUrl, createClient } (createClient as for RedisBus)
+function createBus({ backend = 'memory', redisUrl, createClient } = {}) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryBus();
+        case 'redis':
+            if (!redisUrl) {
+                throw new Error('REDIS_URL is required for the redis pub/sub backend');
+            }
+            return new RedisBus(redisUrl, { createClient });
+        default:
+            throw new Error(`Unknown pub/sub backend: ${backend} (expected one of: ${BUS_BACKENDS.join(', ')})`);
+    }
+}
+
+// Holds a named lease in the database while this instance is alive. The lease is renewed
+// every third of its TTL, so another instance takes over within one TTL of a crash.
+class LeaderElection {
+    constructor(db, { name, holder, ttlMs }) {
+        this.db = db;
+        this.name = name;
+        this.holder = holder;
+        this.ttlMs = ttlMs;
+        this.isLeader = false;
+        this.stopped = false;
+        this.timer = null;
+    }
+
+    async start() {
+        await this.renew();
+        this.timer = setInterval(() => this.renew(), Math.floor(this.ttlMs / 3));
+        this.timer.unref();
+    }
+
+    async renew() {
+        if (this.stopped) return;
+
+        let leader = false;
+        try {
+            leader = await this.db.acquireLease(this.name, this.holder, this.ttlMs);
+        } catch (error) {
+            logger.error(`Error renewing ${this.name} lease`, error);
+        }
+        if (this.stopped) return; // stop() ran while the lease query was in flight
+
+        if (leader !== this.isLeader) {
+            logger.info(leader
+                ? `This instance is now the ${this.name} leader`
+                : `This instance is no longer the ${this.name} leader`, { lease: this.name, holder: this.holder });
+        }
+        this.isLeader = leader;
+    }
+
+    // Hand the lease over right away instead of waiting for it to expire
+    async stop() {
+        this.stopped = true;
+        clearInterval(this.timer);
+
+        // Release unconditionally: a renewal may have taken the lease just before stop()
+        this.isLeader = false;
+        try {
+            await this.db.releaseLease(this.name, this.holder);
+        } catch (error) {
+            logger.error(`Error releasing ${this.name} lease`, error);
+        }
+    }
+}
+
+module.exports = {
+    BUS_BACKENDS,
+    MemoryBus,
+    RedisBus,
+    createBus,
+    LeaderElection
+};
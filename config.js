@@ -0,0 +1,193 @@
+/**
+ * Configuration
+ * - loadConfig() reads every setting once at startup: from the environment, over the JSON
+ *   file at CONFIG_FILE (an object keyed by the same names as the environment variables).
+ * - All settings are checked before anything starts. Problems are thrown together as a
+ *   ConfigError, one line per setting, instead of surfacing later as odd behaviour.
+ * - Settings of modules with their own parser (storage, launcher policy, rate limits) are
+ *   read by that module's *FromEnv function from the same merged settings.
+ * - Durations are given in seconds and returned in milliseconds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { BACKENDS: STORAGE_BACKENDS, storageConfigFromEnv } = require('./storage');
+const { LauncherPolicy, launcherPolicyFromEnv } = require('./launcher');
+const { rateLimitConfigFromEnv } = require('./ratelimit');
+const { LOG_LEVELS } = require('./logger');
+
+const PUBSUB_BACKENDS = ['memory', 'redis'];
+
+class ConfigError extends Error {
+    // errors: ["PORT must be a port number (1-65535), got \"abc\"", ...]
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// CONFIG_FILE's settings as strings, like the environment's
+function readConfigFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Cannot read CONFIG_FILE ${file}: ${error.message}`]);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError([`CONFIG_FILE ${file} must hold a JSON object of settings`]);
+    }
+
+    const settings = {};
+    const errors = [];
+    Object.entries(parsed).forEach(([name, value]) => {
+        if (value === null) return;
+        if (typeof value === 'object') {
+            errors.push(`${name} in CONFIG_FILE must be a string, number or boolean`);
+            return;
+        }
+        settings[name] = String(value);
+    });
+    if (errors.length > 0) throw new ConfigError(errors);
+    return settings;
+}
+
+// Readers for one setting each; problems are added to `errors` and the default is returned
+function settingReaders(settings, errors) {
+    const given = name => settings[name] !== undefined && settings[name] !== '';
+
+    return {
+        string(name, fallback) {
+            return given(name) ? settings[name].trim() : fallback;
+        },
+
+        integer(name, fallback, { min = -Infinity, max = Infinity, description = 'a whole number' } = {}) {
+            if (!given(name)) return fallback;
+            const text = settings[name].trim();
+            const value = Number(text);
+            if (!/^-?\d+$/.test(text) || value < min || value > max) {
+                errors.push(`${name} must be ${description}, got "${settings[name]}"`);
+                return fallback;
+            }
+            return value;
+        },
+
+        boolean(name, fallback) {
+            if (!given(name)) return fallback;
+            const text = settings[name].trim().toLowerCase();
+            if (text !== 'true' && text !== 'false') {
+                errors.push(`${name} must be "true" or "false", got "${settings[name]}"`);
+                return fallback;
+            }
+            return text === 'true';
+        },
+
+        oneOf(name, fallback, values) {
+            if (!given(name)) return fallback;
+            const value = settings[name].trim().toLowerCase();
+            if (!values.includes(value)) {
+                errors.push(`${name} must be one of ${values.join(', ')}, got "${settings[name]}"`);
+                return fallback;
+            }
+            return value;
+        },
+
+        // Comma-separated; empty entries are dropped
+        list(name, fallback) {
+            if (!given(name)) return fallback;
+            return settings[name].split(',').map(item => item.trim()).filter(Boolean);
+        },
+
+        // A module's own *FromEnv parser, whose errors join the rest
+        parsed(parse) {
+            try {
+                return parse(settings);
+            } catch (error) {
+                errors.push(error.message);
+                return null;
+            }
+        }
+    };
+}
+
+const PORT_RANGE = { min: 1, max: 65535, description: 'a port number (1-65535)' };
+
+// The validated configuration from `env`, over CONFIG_FILE when it names one.
+// Throws ConfigError listing every invalid setting.
+function loadConfig(env = process.env) {
+    const settings = {
+        ...(env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {}),
+        ...env
+    };
+    const errors = [];
+    const read = settingReaders(settings, errors);
+
+    const config = {
+        nodeEnv: read.string('NODE_ENV', 'development'),
+        logLevel: read.oneOf('LOG_LEVEL', 'info', LOG_LEVELS),
+        instanceId: read.string('INSTANCE_ID', uuidv4()),
+        server: {
+            host: read.string('HOST', '0.0.0.0'),
+            httpPort: read.integer('PORT', 3000, PORT_RANGE),
+            httpsPort: read.integer('HTTPS_PORT', 3443, PORT_RANGE),
+            useHttps: read.boolean('USE_HTTPS', false),
+            certDir: path.resolve(read.string('CERT_DIR', path.join(__dirname, 'certs'))),
+            sslCommonName: read.string('SSL_COMMON_NAME', 'localhost')
+        },
+        cors: {
+            origins: read.list('ALLOWED_ORIGINS', ['*'])
+        },
+        storage: {
+            ...read.parsed(storageConfigFromEnv),
+            backend: read.oneOf('STORAGE_BACKEND', 'sqlite', STORAGE_BACKENDS)
+        },
+        pubsub: {
+            backend: read.oneOf('PUBSUB_BACKEND', 'memory', PUBSUB_BACKENDS),
+            redisUrl: read.string('REDIS_URL', null)
+        },
+        sessions: {
+            // A session without a heartbeat for this long is offline, and ended by cleanup
+            timeoutMs: read.integer('SESSION_TIMEOUT_SECONDS', 300, { min: 1, description: 'a number of seconds (at least 1)' }) * 1000,
+            cleanupIntervalMs: read.integer('CLEANUP_INTERVAL_SECONDS', 60, { min: 1, description: 'a number of seconds (at least 1)' }) * 1000
+        },
+        websocket: {
+            pingIntervalMs: read.integer('WS_PING_INTERVAL_SECONDS', 30, { min: 1, description: 'a number of seconds (at least 1)' }) * 1000
+        },
+        adminApiKey: read.string('ADMIN_API_KEY', ''),
+        metricsToken: read.string('METRICS_TOKEN', ''),
+        playerRetentionDays: read.integer('PLAYER_RETENTION_DAYS', 0, { min: 0, description: 'a number of days (0 keeps players forever)' }),
+        launcher: read.parsed(launcherPolicyFromEnv),
+        rateLimits: read.parsed(rateLimitConfigFromEnv)
+    };
+
+    // Settings that are only wrong together
+    const { server, storage, pubsub, sessions, launcher } = config;
+    if (server.useHttps && server.httpPort === server.httpsPort) {
+        errors.push(`PORT and HTTPS_PORT must differ when USE_HTTPS is true (both ${server.httpPort})`);
+    }
+    if (server.useHttps && fs.existsSync(server.certDir) && !fs.statSync(server.certDir).isDirectory()) {
+        errors.push(`CERT_DIR must be a directory: ${server.certDir}`);
+    }
+    if (storage.backend === 'postgres' && !storage.databaseUrl) {
+        errors.push('DATABASE_URL is required when STORAGE_BACKEND is postgres');
+    }
+    if (pubsub.backend === 'redis' && !pubsub.redisUrl) {
+        errors.push('REDIS_URL is required when PUBSUB_BACKEND is redis');
+    }
+    if (sessions.cleanupIntervalMs >= sessions.timeoutMs) {
+        errors.push(`CLEANUP_INTERVAL_SECONDS (${sessions.cleanupIntervalMs / 1000}) must be less than SESSION_TIMEOUT_SECONDS (${sessions.timeoutMs / 1000})`);
+    }
+    if (launcher) {
+        read.parsed(() => new LauncherPolicy(launcher));
+    }
+
+    if (errors.length > 0) throw new ConfigError(errors);
+    return config;
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig
+};
@@ -1,180 +1,545 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-const { promisify } = require('util');
+const crypto = require('crypto');
+const { migrate } = require('./migrations');
+const { logger } = require('./logger');
+
+// Minecraft UUIDs arrive with or without dashes and in either case
+function normalizeUuid(uuid) {
+    if (!uuid) return null;
+    const compact = String(uuid).trim().toLowerCase().replace(/-/g, '');
+    if (!/^[0-9a-f]{32}$/.test(compact)) {
+        return String(uuid).trim().toLowerCase();
+    }
+    return `${compact.slice(0, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}-${compact.slice(16, 20)}-${compact.slice(20)}`;
+}
+
+// Identity key: the UUID when we have one, otherwise the username (offline accounts)
+function playerKeyFor(username, uuid) {
+    const normalized = normalizeUuid(uuid);
+    return normalized || `offline:${String(username).trim().toLowerCase()}`;
+}
+
+// Rollup bucket sizes for time-series statistics
+const STATS_BUCKETS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Metrics served by getStatsHistory: scalar columns of stats_rollups, or distributions
+const STATS_METRICS = {
+    online_avg: 'ROUND(online_sum * 1.0 / samples, 2)',
+    online_peak: 'online_peak',
+    launches: 'launches',
+    unique_players: 'unique_players',
+    playtime: 'playtime'
+};
+const STATS_DISTRIBUTIONS = ['minecraft_version', 'game_mode'];
+
+// Leaderboards: a value per player over their finished sessions
+const LEADERBOARDS = {
+    playtime: 'SUM(h.duration)',
+    sessions: 'COUNT(*)',
+    'longest-session': 'MAX(h.duration)'
+};
+const LEADERBOARD_WINDOWS = ['all', 'month', 'week'];
+
+// Start of the current calendar month or week (from Monday), UTC; null for all time
+function leaderboardSince(window, now = new Date()) {
+    if (window === 'all') return null;
+
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+    if (window === 'month') start.setUTCDate(1);
+    else start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+}
+
+// Multiplayer servers are grouped by lowercase "host:port", with the default port filled in
+const DEFAULT_SERVER_PORT = 25565;
+
+function normalizeServerAddress(address) {
+    if (!address) return null;
+    const trimmed = String(address).trim().toLowerCase();
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(trimmed);
+    if (!match) return trimmed;
+
+    const host = match[1].replace(/\.$/, ''); // "example.com." is the same host
+    const port = match[2] ? parseInt(match[2], 10) : DEFAULT_SERVER_PORT;
+    return `${host}:${port}`;
+}
+
+// Stored timestamp format, 'YYYY-MM-DD HH:MM:SS' in UTC (SQLite's CURRENT_TIMESTAMP)
+function toSqlDate(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSqlDate(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+function bucketStart(bucket, date) {
+    const start = new Date(date);
+    start.setUTCMinutes(0, 0, 0);
+    if (bucket === 'day') start.setUTCHours(0);
+    return start;
+}
+
+// Webhook columns safe to show admins; the secret is only returned when it is created
+const WEBHOOK_COLUMNS = `id, url, events, description, enabled, failure_count, disabled_at, created_at, updated_at`;
+
+function webhookFromRow(row) {
+    return { ...row, events: JSON.parse(row.events), enabled: row.enabled === 1 };
+}
+
+function normalizeBanValue(type, value) {
+    if (type === 'uuid') return normalizeUuid(value);
+    if (type === 'username') return String(value).trim().toLowerCase();
+    return String(value).trim();
+}
+
+// Session tokens are credentials, so only their hash is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Stored values of the privacy_show_* session columns
+const VISIBILITY = {
+    hidden: 0,
+    everyone: 1,
+    friends: 2
+};
+
+// Session column for each privacy setting
+const PRIVACY_COLUMNS = {
+    showUsername: 'privacy_show_username',
+    showVersion: 'privacy_show_version',
+    showWorld: 'privacy_show_world',
+    showServer: 'privacy_show_server',
+    showModpack: 'privacy_show_modpack',
+    showParty: 'privacy_show_party',
+    showOnLeaderboard: 'privacy_show_leaderboard'
+};
+
+// Rich presence fields a launcher can publish, and the privacy setting covering each.
+// A new field needs an entry here and a rule in validation.js.
+const PRESENCE_FIELDS = {
+    modpack: 'showModpack',
+    loader: 'showModpack',
+    dimension: 'showWorld',
+    party: 'showParty',
+    joinable: 'showParty',
+    joinSecret: 'showParty'
+};
+
+// Stored presence JSON with `changes` applied: fields left out keep their value and null
+// clears one. Returns null once no field is left.
+function mergePresence(stored, changes) {
+    const presence = stored ? JSON.parse(stored) : {};
+    Object.keys(PRESENCE_FIELDS).forEach((field) => {
+        if (changes[field] === undefined) return;
+        if (changes[field] === null) delete presence[field];
+        else presence[field] = changes[field];
+    });
+    return Object.keys(presence).length > 0 ? JSON.stringify(presence) : null;
+}
+
+// Privacy settings are true (everyone), false (nobody) or 'friends'
+function visibilityFor(setting, fallback = VISIBILITY.everyone) {
+    if (setting === false) return VISIBILITY.hidden;
+    if (setting === 'friends') return VISIBILITY.friends;
+    if (setting === true) return VISIBILITY.everyone;
+    return fallback;
+}
+
+// Settings a player hasn't chosen are shared with everyone, except the party: its join
+// secret lets others join, so that is friends only until the player says otherwise. And
+// leaderboards are opt-in (showOnLeaderboard is true or false, never 'friends').
+const PRIVACY_DEFAULTS = {
+    showParty: VISIBILITY.friends,
+    showOnLeaderboard: VISIBILITY.hidden
+};
+
+// Public view of an archived session row; fields shared with friends only count as hidden
+function publicSessionColumns(alias) {
+    return `
+        CASE 
+            WHEN ${alias}.privacy_show_username = 1 THEN ${alias}.username
+            ELSE 'Anonymous'
+        END as username,
+        CASE 
+            WHEN ${alias}.privacy_show_version = 1 THEN ${alias}.minecraft_version
+            ELSE NULL
+        END as minecraft_version,
+        CASE 
+            WHEN ${alias}.privacy_show_world = 1 THEN ${alias}.world_name
+            ELSE NULL
+        END as world_name,
+        CASE 
+            WHEN ${alias}.privacy_show_server = 1 THEN ${alias}.server_address
+            WHEN ${alias}.server_address IS NOT NULL THEN 'Hidden Server'
+            ELSE NULL
+        END as server_address`;
+}
+
+// A presenceFor() view with everything that identifies the player or their activity removed
+function anonymousPresence(player) {
+    return {
+        ...player,
+        uuid: null,
+        username: 'Anonymous',
+        minecraft_version: null,
+        world_name: null,
+        server_address: null,
+        presence: {}
+    };
+}
+
+// Minecraft versions among sessions that share them, most common first
+function versionCounts(sessions) {
+    const counts = new Map();
+    sessions.forEach((session) => {
+        if (!session.minecraft_version || session.privacy_show_version !== VISIBILITY.everyone) return;
+        counts.set(session.minecraft_version, (counts.get(session.minecraft_version) || 0) + 1);
+    });
+    return [...counts]
+        .map(([version, count]) => ({ minecraft_version: version, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// An online session (from getOnlineSessions) as a viewer sees it. `viewer` is
+// { playerId, friendIds } from getViewer(), or null for the public. Players see their own
+// session in full and friends also see the fields shared with friends.
+function presenceFor(session, viewer = null) {
+    let relation = 'public';
+    if (viewer && viewer.playerId === session.player_id) relation = 'self';
+    else if (viewer && viewer.friendIds.has(session.player_id)) relation = 'friend';
+
+    const visible = flag => relation === 'self'
+        || flag === VISIBILITY.everyone
+        || (flag === VISIBILITY.friends && relation === 'friend');
+    const showUsername = visible(session.privacy_show_username);
+
+    let serverAddress = session.server_address;
+    if (serverAddress && !visible(session.privacy_show_server)) serverAddress = 'Hidden Server';
+
+    const stored = session.presence ? JSON.parse(session.presence) : {};
+    const presence = {};
+    Object.entries(PRESENCE_FIELDS).forEach(([field, setting]) => {
+        if (stored[field] !== undefined && visible(session[PRIVACY_COLUMNS[setting]])) presence[field] = stored[field];
+    });
+    // A join secret is only handed out while the player is accepting joins, and never to
+    // non-friends (other players, anonymous streams, webhooks), whatever showParty says
+    if (!presence.joinable || relation === 'public') delete presence.joinSecret;
+
+    return {
+        session_id: session.session_id,
+        uuid: showUsername ? session.uuid : null,
+        status: session.status,
+        username: showUsername ? session.username : 'Anonymous',
+        minecraft_version: visible(session.privacy_show_version) ? session.minecraft_version : null,
+        world_name: visible(session.privacy_show_world) ? session.world_name : null,
+        server_address: serverAddress,
+        game_mode: session.game_mode,
+        connected_at: session.connected_at,
+        presence,
+        session_duration: session.session_duration,
+        // Only the player sees their own settings: to anyone else, a flag of 2 would give
+        // away which fields are shared with friends
+        ...(relation === 'self' ? {
+            privacy_show_username: session.privacy_show_username,
+            privacy_show_version: session.privacy_show_version,
+            privacy_show_world: session.privacy_show_world,
+            privacy_show_server: session.privacy_show_server,
+            privacy_show_modpack: session.privacy_show_modpack,
+            privacy_show_party: session.privacy_show_party
+        } : {})
+    };
+}
 
 class PlayerDatabase {
-    constructor(dbPath = './data/players.db') {
-        // Ensure data directory exists
-        const dir = path.dirname(dbPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-
-        this.db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('Error opening database:', err);
-                throw err;
-            }
-        });
-
-        // Custom promisify for run() that preserves 'this' context
-        this.dbRun = (sql, params = []) => {
-            return new Promise((resolve, reject) => {
-                this.db.run(sql, params, function(err) {
-                    if (err) reject(err);
-                    else resolve(this); // 'this' contains lastID and changes
-                });
-            });
-        };
-        
-        this.dbGet = promisify(this.db.get.bind(this.db));
-        this.dbAll = promisify(this.db.all.bind(this.db));
-        this.dbExec = promisify(this.db.exec.bind(this.db));
-
-        // Set WAL mode for better concurrency
-        this.db.run('PRAGMA journal_mode = WAL', (err) => {
-            if (err) console.error('Error setting WAL mode:', err);
-        });
-        
-        this.initializeTables();
-    }
-
-    async initializeTables() {
-        try {
-            // Players table
-            await this.dbExec(`
-                CREATE TABLE IF NOT EXISTS players (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    session_id TEXT UNIQUE NOT NULL,
-                    username TEXT NOT NULL,
-                    uuid TEXT,
-                    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    total_playtime INTEGER DEFAULT 0,
-                    launcher_version TEXT,
-                    UNIQUE(session_id)
-                )
-            `);
+    // `driver` is a storage backend from storage.js; use createStorage() to build one.
+    // options: { sessionTimeoutMs } - a session without a heartbeat for this long is offline
+    constructor(driver, { sessionTimeoutMs = 5 * 60 * 1000 } = {}) {
+        this.driver = driver;
+        // SQL fragments that differ between backends (column types, current time, intervals)
+        this.sql = driver.dialect;
+        this.sessionTimeout = `${Math.ceil(sessionTimeoutMs / 1000)} seconds`;
 
-            // Sessions table (current active sessions)
-            await this.dbExec(`
-                CREATE TABLE IF NOT EXISTS sessions (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    session_id TEXT UNIQUE NOT NULL,
-                    player_id INTEGER,
-                    username TEXT NOT NULL,
-                    status TEXT DEFAULT 'online',
-                    minecraft_version TEXT,
-                    world_name TEXT,
-                    server_address TEXT,
-                    game_mode TEXT DEFAULT 'idle',
-                    connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    last_update DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    privacy_show_username BOOLEAN DEFAULT 1,
-                    privacy_show_version BOOLEAN DEFAULT 1,
-                    privacy_show_world BOOLEAN DEFAULT 1,
-                    privacy_show_server BOOLEAN DEFAULT 1,
-                    FOREIGN KEY (player_id) REFERENCES players(id)
-                )
-            `);
-            
-            // Add game_mode column if it doesn't exist (for existing databases)
-            await this.dbExec(`
-                CREATE TABLE IF NOT EXISTS _temp_check (game_mode TEXT);
-                DROP TABLE _temp_check;
-            `).catch(() => {});
-            
-            // Check if column exists and add if not
-            const tableInfo = await this.dbAll(`PRAGMA table_info(sessions)`);
-            const hasGameMode = tableInfo.some(col => col.name === 'game_mode');
-            
-            if (!hasGameMode) {
-                await this.dbExec(`ALTER TABLE sessions ADD COLUMN game_mode TEXT DEFAULT 'idle'`);
-                console.log('Added game_mode column to sessions table');
-            }
-            // Statistics table
-            await this.dbExec(`
-                CREATE TABLE IF NOT EXISTS statistics (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    metric TEXT UNIQUE NOT NULL,
-                    value INTEGER DEFAULT 0,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        this.dbRun = (sql, params) => driver.run(sql, params);
+        this.dbInsert = (sql, params) => driver.insert(sql, params);
+        this.dbGet = (sql, params) => driver.get(sql, params);
+        this.dbAll = (sql, params) => driver.all(sql, params);
+        this.dbExec = (sql) => driver.exec(sql);
 
-            // Initialize statistics
-            await this.dbRun(`INSERT OR IGNORE INTO statistics (metric, value) VALUES (?, 0)`, ['total_launches']);
-            await this.dbRun(`INSERT OR IGNORE INTO statistics (metric, value) VALUES (?, 0)`, ['total_users']);
-            await this.dbRun(`INSERT OR IGNORE INTO statistics (metric, value) VALUES (?, 0)`, ['total_playtime']);
-        } catch (error) {
-            console.error('Error initializing tables:', error);
-            throw error;
-        }
+        // Resolves once the schema is at the latest version (see migrations/)
+        this.ready = migrate(driver);
     }
 
     // Player management
-    async createOrUpdatePlayer(sessionId, username, uuid = null, launcherVersion = null) {
+    async createOrUpdatePlayer(username, uuid = null, launcherVersion = null) {
         try {
+            const playerKey = playerKeyFor(username, uuid);
             const existingPlayer = await this.dbGet(
-                `SELECT id FROM players WHERE session_id = ?`,
-                [sessionId]
+                `SELECT id, username FROM players WHERE player_key = ?`,
+                [playerKey]
             );
 
+            let playerId;
             if (existingPlayer) {
                 await this.dbRun(
                     `UPDATE players 
-                    SET last_seen = CURRENT_TIMESTAMP, launcher_version = ?
-                    WHERE session_id = ?`,
-                    [launcherVersion, sessionId]
+                    SET username = ?,
+                        last_seen = ${this.sql.now},
+                        launcher_version = COALESCE(?, launcher_version)
+                    WHERE id = ?`,
+                    [username, launcherVersion, existingPlayer.id]
                 );
-                return existingPlayer.id;
+                playerId = existingPlayer.id;
             } else {
-                const result = await this.dbRun(
-                    `INSERT INTO players (session_id, username, uuid, launcher_version)
+                playerId = await this.dbInsert(
+                    `INSERT INTO players (player_key, uuid, username, launcher_version)
                     VALUES (?, ?, ?, ?)`,
-                    [sessionId, username, uuid, launcherVersion]
+                    [playerKey, normalizeUuid(uuid), username, launcherVersion]
                 );
                 
                 // Increment total users
                 await this.incrementStat('total_users');
-                
-                return result.lastID;
             }
+
+            await this.recordUsername(playerId, username);
+            if (launcherVersion) {
+                await this.recordLauncherVersion(playerId, launcherVersion);
+            }
+
+            return playerId;
+        } catch (error) {
+            logger.error('Error in createOrUpdatePlayer', error);
+            throw error;
+        }
+    }
+
+    // Track name changes for the same identity
+    async recordUsername(playerId, username) {
+        try {
+            await this.dbRun(
+                `INSERT INTO player_names (player_id, username) VALUES (?, ?)
+                ON CONFLICT(player_id, username) DO UPDATE SET last_seen = ${this.sql.now}`,
+                [playerId, username]
+            );
+        } catch (error) {
+            logger.error('Error in recordUsername', error);
+            throw error;
+        }
+    }
+
+    async recordLauncherVersion(playerId, launcherVersion) {
+        try {
+            await this.dbRun(
+                `INSERT INTO player_launcher_versions (player_id, launcher_version) VALUES (?, ?)
+                ON CONFLICT(player_id, launcher_version) DO UPDATE SET last_seen = ${this.sql.now}`,
+                [playerId, launcherVersion]
+            );
+        } catch (error) {
+            logger.error('Error in recordLauncherVersion', error);
+            throw error;
+        }
+    }
+
+    async getUsernameHistory(playerId) {
+        try {
+            return await this.dbAll(
+                `SELECT username, first_seen, last_seen
+                FROM player_names
+                WHERE player_id = ?
+                ORDER BY first_seen ASC`,
+                [playerId]
+            );
+        } catch (error) {
+            logger.error('Error in getUsernameHistory', error);
+            throw error;
+        }
+    }
+
+    // Look a player up by UUID, or by username for offline accounts
+    async findPlayer(identifier) {
+        try {
+            return await this.dbGet(
+                `SELECT * FROM players WHERE player_key = ? OR player_key = ?`,
+                [normalizeUuid(identifier), playerKeyFor(identifier, null)]
+            );
+        } catch (error) {
+            logger.error('Error in findPlayer', error);
+            throw error;
+        }
+    }
+
+    async getPlayerProfile(identifier) {
+        try {
+            const player = await this.findPlayer(identifier);
+            if (!player) return null;
+
+            // Names are only shown if the player's most recent session shared them
+            const latest = await this.dbGet(
+                `SELECT privacy_show_username FROM (
+                    SELECT privacy_show_username, connected_at FROM sessions WHERE player_id = ?
+                    UNION ALL
+                    SELECT privacy_show_username, connected_at FROM session_history WHERE player_id = ?
+                ) latest ORDER BY connected_at DESC LIMIT 1`,
+                [player.id, player.id]
+            );
+            const showUsername = !latest || latest.privacy_show_username === 1;
+
+            const online = await this.dbGet(
+                `SELECT COUNT(*) as count FROM sessions
+                WHERE player_id = ? AND last_update > ${this.sql.ago(this.sessionTimeout)}`,
+                [player.id]
+            );
+            const sessionCount = await this.dbGet(
+                `SELECT COUNT(*) as count FROM session_history WHERE player_id = ?`,
+                [player.id]
+            );
+            const launcherVersions = await this.dbAll(
+                `SELECT launcher_version, first_seen, last_seen
+                FROM player_launcher_versions
+                WHERE player_id = ?
+                ORDER BY first_seen ASC`,
+                [player.id]
+            );
+
+            return {
+                uuid: player.uuid,
+                username: showUsername ? player.username : 'Anonymous',
+                first_seen: player.first_seen,
+                last_seen: player.last_seen,
+                total_playtime: player.total_playtime,
+                session_count: sessionCount.count,
+                online: online.count > 0,
+                launcher_versions: launcherVersions,
+                usernames: showUsername ? await this.getUsernameHistory(player.id) : []
+            };
+        } catch (error) {
+            logger.error('Error in getPlayerProfile', error);
+            throw error;
+        }
+    }
+
+    // Past sessions, newest first, redacted with the privacy flags each session had
+    async getSessionHistory(identifier, { limit = 20, offset = 0 } = {}) {
+        try {
+            const player = await this.findPlayer(identifier);
+            if (!player) return null;
+
+            const total = await this.dbGet(
+                `SELECT COUNT(*) as count FROM session_history WHERE player_id = ?`,
+                [player.id]
+            );
+            const sessions = await this.dbAll(
+                `SELECT 
+                    h.session_id,
+                    ${publicSessionColumns('h')},
+                    h.game_mode,
+                    h.connected_at,
+                    h.ended_at,
+                    h.duration
+                FROM session_history h
+                WHERE h.player_id = ?
+                ORDER BY h.connected_at DESC, h.id DESC
+                LIMIT ? OFFSET ?`,
+                [player.id, limit, offset]
+            );
+
+            return { total: total.count, sessions };
+        } catch (error) {
+            logger.error('Error in getSessionHistory', error);
+            throw error;
+        }
+    }
+
+    // The player a connection claims to be. Anyone can claim a UUID, so the player's first
+    // connection is issued a secret (returned once as `playerSecret`) and later ones are
+    // verified only if they present it. Unverified connections leave the player's name and
+    // launcher version alone. Resolves to { playerId, verified, playerSecret }.
+    async claimPlayer(username, uuid = null, launcherVersion = null, playerSecret = null) {
+        try {
+            const existing = await this.dbGet(
+                `SELECT id, secret_hash FROM players WHERE player_key = ?`,
+                [playerKeyFor(username, uuid)]
+            );
+            if (existing && existing.secret_hash) {
+                const verified = Boolean(playerSecret) && hashToken(playerSecret) === existing.secret_hash;
+                if (!verified) return { playerId: existing.id, verified: false, playerSecret: null };
+
+                const playerId = await this.createOrUpdatePlayer(username, uuid, launcherVersion);
+                return { playerId, verified: true, playerSecret: null };
+            }
+
+            const playerId = await this.createOrUpdatePlayer(username, uuid, launcherVersion);
+            const issued = crypto.randomBytes(32).toString('base64url');
+
+            // Of two first connections racing, only one gets the secret
+            const result = await this.dbRun(
+                `UPDATE players SET secret_hash = ? WHERE id = ? AND secret_hash IS NULL`,
+                [hashToken(issued), playerId]
+            );
+            return result.changes > 0
+                ? { playerId, verified: true, playerSecret: issued }
+                : { playerId, verified: false, playerSecret: null };
         } catch (error) {
-            console.error('Error in createOrUpdatePlayer:', error);
+            logger.error('Error in claimPlayer', error);
             throw error;
         }
     }
 
     // Session management
-    async createSession(sessionId, username, privacySettings = {}) {
+    // Resolves to { sessionId, playerId, verified, playerSecret } (see claimPlayer)
+    async createSession(sessionId, { username, uuid = null, launcherVersion = null, ipAddress = null, playerSecret = null }, privacySettings = {}, sessionToken = null) {
         try {
-            const playerId = await this.createOrUpdatePlayer(sessionId, username);
+            const claim = await this.claimPlayer(username, uuid, launcherVersion, playerSecret);
             
             await this.dbRun(
                 `INSERT INTO sessions (
-                    session_id, player_id, username,
+                    session_id, player_id, username, token_hash, ip_address, launcher_version, verified,
                     privacy_show_username, privacy_show_version,
-                    privacy_show_world, privacy_show_server
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    privacy_show_world, privacy_show_server,
+                    privacy_show_modpack, privacy_show_party, privacy_show_leaderboard
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     sessionId,
-                    playerId,
+                    claim.playerId,
                     username,
-                    privacySettings.showUsername !== false ? 1 : 0,
-                    privacySettings.showVersion !== false ? 1 : 0,
-                    privacySettings.showWorld !== false ? 1 : 0,
-                    privacySettings.showServer !== false ? 1 : 0
+                    sessionToken ? hashToken(sessionToken) : null,
+                    ipAddress,
+                    launcherVersion,
+                    claim.verified ? 1 : 0,
+                    visibilityFor(privacySettings.showUsername),
+                    visibilityFor(privacySettings.showVersion),
+                    visibilityFor(privacySettings.showWorld),
+                    visibilityFor(privacySettings.showServer),
+                    visibilityFor(privacySettings.showModpack),
+                    visibilityFor(privacySettings.showParty, PRIVACY_DEFAULTS.showParty),
+                    visibilityFor(privacySettings.showOnLeaderboard, PRIVACY_DEFAULTS.showOnLeaderboard)
                 ]
             );
 
             // Increment total launches
             await this.incrementStat('total_launches');
 
-            return { sessionId, playerId };
+            return { sessionId, ...claim };
         } catch (error) {
-            console.error('Error in createSession:', error);
+            logger.error('Error in createSession', error);
+            throw error;
+        }
+    }
+
+    // Resolve the session a token was issued for; ended sessions no longer match
+    async getSessionByToken(sessionToken) {
+        try {
+            if (!sessionToken) return null;
+            return await this.dbGet(
+                `SELECT session_id, player_id, username, launcher_version, verified FROM sessions WHERE token_hash = ?`,
+                [hashToken(sessionToken)]
+            );
+        } catch (error) {
+            logger.error('Error in getSessionByToken', error);
             throw error;
         }
     }
@@ -204,8 +569,22 @@ class PlayerDatabase {
                 fields.push('game_mode = ?');
                 values.push(updates.gameMode);
             }
+            // Privacy settings ({ showUsername, ... }); the ones left out keep their value
+            if (updates.privacy) {
+                Object.entries(PRIVACY_COLUMNS).forEach(([setting, column]) => {
+                    if (updates.privacy[setting] === undefined) return;
+                    fields.push(`${column} = ?`);
+                    values.push(visibilityFor(updates.privacy[setting]));
+                });
+            }
+            // Rich presence ({ modpack, loader, ... }) is merged into what the session has
+            if (updates.presence !== undefined) {
+                const current = await this.dbGet(`SELECT presence FROM sessions WHERE session_id = ?`, [sessionId]);
+                fields.push('presence = ?');
+                values.push(updates.presence === null ? null : mergePresence(current && current.presence, updates.presence));
+            }
 
-            fields.push('last_update = CURRENT_TIMESTAMP');
+            fields.push(`last_update = ${this.sql.now}`);
             values.push(sessionId);
 
             const result = await this.dbRun(
@@ -217,18 +596,19 @@ class PlayerDatabase {
 
             return result;
         } catch (error) {
-            console.error('Error in updateSession:', error);
+            logger.error('Error in updateSession', error);
             throw error;
         }
     }
 
+    // Archive and remove a session. Resolves to its player id, or null if it had already ended.
     async endSession(sessionId) {
         try {
             // Calculate session duration
             const session = await this.dbGet(
                 `SELECT 
                     player_id,
-                    (strftime('%s', 'now') - strftime('%s', connected_at)) as duration
+                    ${this.sql.secondsSince('connected_at')} as duration
                 FROM sessions
                 WHERE session_id = ?`,
                 [sessionId]
@@ -239,7 +619,7 @@ class PlayerDatabase {
                 await this.dbRun(
                     `UPDATE players 
                     SET total_playtime = total_playtime + ?,
-                        last_seen = CURRENT_TIMESTAMP
+                        last_seen = ${this.sql.now}
                     WHERE id = ?`,
                     [session.duration, session.player_id]
                 );
@@ -247,59 +627,208 @@ class PlayerDatabase {
                 // Update total playtime stat
                 await this.dbRun(
                     `UPDATE statistics 
-                    SET value = value + ?, updated_at = CURRENT_TIMESTAMP
+                    SET value = value + ?, updated_at = ${this.sql.now}
                     WHERE metric = 'total_playtime'`,
                     [session.duration]
                 );
             }
 
-            // Remove session
-            return await this.dbRun(
+            // Archive the finished session before removing it
+            await this.dbRun(
+                `INSERT INTO session_history (
+                    session_id, player_id, username, minecraft_version, world_name,
+                    server_address, game_mode, launcher_version, connected_at, duration,
+                    privacy_show_username, privacy_show_version,
+                    privacy_show_world, privacy_show_server, privacy_show_leaderboard
+                )
+                SELECT
+                    session_id, player_id, username, minecraft_version, world_name,
+                    server_address, game_mode, launcher_version, connected_at,
+                    ${this.sql.secondsSince('connected_at')},
+                    privacy_show_username, privacy_show_version,
+                    privacy_show_world, privacy_show_server, privacy_show_leaderboard
+                FROM sessions
+                WHERE session_id = ?
+                ON CONFLICT (session_id) DO NOTHING`,
+                [sessionId]
+            );
+
+            // Remove session (its token hash goes with it, invalidating the token)
+            await this.dbRun(
                 `DELETE FROM sessions WHERE session_id = ?`,
                 [sessionId]
             );
+            return session ? session.player_id : null;
+        } catch (error) {
+            logger.error('Error in endSession', error);
+            throw error;
+        }
+    }
+
+    // Online players as `viewer` sees them (see presenceFor); the public view by default
+    async getOnlinePlayers(viewer = null) {
+        try {
+            const sessions = await this.getOnlineSessions();
+            return sessions.map(session => presenceFor(session, viewer));
         } catch (error) {
-            console.error('Error in endSession:', error);
+            logger.error('Error in getOnlinePlayers', error);
             throw error;
         }
     }
 
-    async getOnlinePlayers() {
+    // Unredacted online sessions, newest first. Internal: pass them through presenceFor
+    // before they reach a client.
+    async getOnlineSessions() {
         try {
             return await this.dbAll(`
-                SELECT 
-                    s.session_id,
-                    CASE 
-                        WHEN s.privacy_show_username = 1 THEN s.username
-                        ELSE 'Anonymous'
-                    END as username,
-                    s.status,
-                    CASE 
-                        WHEN s.privacy_show_version = 1 THEN s.minecraft_version
-                        ELSE NULL
-                    END as minecraft_version,
-                    CASE 
-                        WHEN s.privacy_show_world = 1 THEN s.world_name
-                        ELSE NULL
-                    END as world_name,
-                    CASE 
-                        WHEN s.privacy_show_server = 1 THEN s.server_address
-                        WHEN s.privacy_show_server = 0 AND s.server_address IS NOT NULL THEN 'Hidden Server'
-                        ELSE NULL
-                    END as server_address,
-                    s.game_mode,
-                    s.connected_at,
-                    (strftime('%s', 'now') - strftime('%s', s.connected_at)) as session_duration,
-                    s.privacy_show_username,
-                    s.privacy_show_version,
-                    s.privacy_show_world,
-                    s.privacy_show_server
-                FROM sessions s
-                WHERE datetime(s.last_update) > datetime('now', '-5 minutes')
+                ${this.onlineSessionsQuery()}
                 ORDER BY s.connected_at DESC
             `);
         } catch (error) {
-            console.error('Error in getOnlinePlayers:', error);
+            logger.error('Error in getOnlineSessions', error);
+            throw error;
+        }
+    }
+
+    // A single unredacted online session, as it appears in getOnlineSessions
+    async getOnlineSession(sessionId) {
+        try {
+            return await this.dbGet(`
+                ${this.onlineSessionsQuery()}
+                    AND s.session_id = ?
+            `, [sessionId]);
+        } catch (error) {
+            logger.error('Error in getOnlineSession', error);
+            throw error;
+        }
+    }
+
+    onlineSessionsQuery() {
+        return `
+            SELECT 
+                s.session_id,
+                s.player_id,
+                p.uuid,
+                s.status,
+                s.username,
+                s.minecraft_version,
+                s.world_name,
+                s.server_address,
+                s.game_mode,
+                s.presence,
+                s.connected_at,
+                ${this.sql.secondsSince('s.connected_at')} as session_duration,
+                s.privacy_show_username,
+                s.privacy_show_version,
+                s.privacy_show_world,
+                s.privacy_show_server,
+                s.privacy_show_modpack,
+                s.privacy_show_party
+            FROM sessions s
+            LEFT JOIN players p ON p.id = s.player_id
+            WHERE s.last_update > ${this.sql.ago(this.sessionTimeout)}`;
+    }
+
+    // Online sessions by normalized server address (Map of address -> sessions). Only
+    // sessions that share their server with everyone count.
+    async getServerPresence() {
+        try {
+            const servers = new Map();
+            for (const session of await this.getOnlineSessions()) {
+                if (!session.server_address || session.privacy_show_server !== VISIBILITY.everyone) continue;
+
+                const address = normalizeServerAddress(session.server_address);
+                if (!servers.has(address)) servers.set(address, []);
+                servers.get(address).push(session);
+            }
+            return servers;
+        } catch (error) {
+            logger.error('Error in getServerPresence', error);
+            throw error;
+        }
+    }
+
+    // Servers being played right now, most players first
+    async getServers({ limit = 50 } = {}) {
+        try {
+            const servers = [...(await this.getServerPresence())]
+                .sort(([addressA, a], [addressB, b]) => b.length - a.length || addressA.localeCompare(addressB));
+            const listed = servers.slice(0, limit);
+
+            const peaks = new Map();
+            if (listed.length > 0) {
+                const rows = await this.dbAll(
+                    `SELECT address, peak_players FROM server_stats
+                    WHERE address IN (${listed.map(() => '?').join(', ')})`,
+                    listed.map(([address]) => address)
+                );
+                rows.forEach(row => peaks.set(row.address, row.peak_players));
+            }
+
+            return {
+                total: servers.length,
+                servers: listed.map(([address, sessions]) => ({
+                    address,
+                    count: sessions.length,
+                    versions: versionCounts(sessions),
+                    // The recorded peak lags by up to one statistics sample
+                    peak_players: Math.max(peaks.get(address) || 0, sessions.length)
+                }))
+            };
+        } catch (error) {
+            logger.error('Error in getServers', error);
+            throw error;
+        }
+    }
+
+    // Current (public) players and the recorded peak of one server, or null if it was never seen
+    async getServer(address) {
+        try {
+            const normalized = normalizeServerAddress(address);
+            const sessions = (await this.getServerPresence()).get(normalized) || [];
+            const stats = await this.dbGet(`SELECT * FROM server_stats WHERE address = ?`, [normalized]);
+            if (sessions.length === 0 && !stats) return null;
+
+            const peak = stats && stats.peak_players >= sessions.length
+                ? { players: stats.peak_players, at: stats.peak_at }
+                : { players: sessions.length, at: toSqlDate(new Date()) };
+
+            return {
+                address: normalized,
+                count: sessions.length,
+                players: sessions.map(session => presenceFor(session)),
+                versions: versionCounts(sessions),
+                peak,
+                first_seen: stats ? stats.first_seen : null,
+                last_seen: stats ? stats.last_seen : null
+            };
+        } catch (error) {
+            logger.error('Error in getServer', error);
+            throw error;
+        }
+    }
+
+    // Raise each current server's peak and mark it as seen (called with every statistics sample)
+    async recordServerPeaks() {
+        try {
+            for (const [address, sessions] of await this.getServerPresence()) {
+                await this.dbRun(
+                    `INSERT INTO server_stats (address, peak_players, peak_at) VALUES (?, ?, ${this.sql.now})
+                    ON CONFLICT(address) DO UPDATE SET
+                        peak_players = CASE
+                            WHEN excluded.peak_players > server_stats.peak_players THEN excluded.peak_players
+                            ELSE server_stats.peak_players
+                        END,
+                        peak_at = CASE
+                            WHEN excluded.peak_players > server_stats.peak_players THEN excluded.peak_at
+                            ELSE server_stats.peak_at
+                        END,
+                        last_seen = ${this.sql.now}`,
+                    [address, sessions.length]
+                );
+            }
+        } catch (error) {
+            logger.error('Error in recordServerPeaks', error);
             throw error;
         }
     }
@@ -309,11 +838,11 @@ class PlayerDatabase {
             const result = await this.dbGet(`
                 SELECT COUNT(*) as count 
                 FROM sessions
-                WHERE datetime(last_update) > datetime('now', '-5 minutes')
+                WHERE last_update > ${this.sql.ago(this.sessionTimeout)}
             `);
             return result.count;
         } catch (error) {
-            console.error('Error in getPlayerCount:', error);
+            logger.error('Error in getPlayerCount', error);
             throw error;
         }
     }
@@ -333,7 +862,7 @@ class PlayerDatabase {
             
             return result;
         } catch (error) {
-            console.error('Error in getStatistics:', error);
+            logger.error('Error in getStatistics', error);
             throw error;
         }
     }
@@ -342,63 +871,1230 @@ class PlayerDatabase {
         try {
             await this.dbRun(
                 `UPDATE statistics 
-                SET value = value + 1, updated_at = CURRENT_TIMESTAMP
+                SET value = value + 1, updated_at = ${this.sql.now}
                 WHERE metric = ?`,
                 [metric]
             );
         } catch (error) {
-            console.error('Error in incrementStat:', error);
+            logger.error('Error in incrementStat', error);
             throw error;
         }
     }
 
-    // Cleanup old sessions (older than 5 minutes with no update)
-    async cleanupStaleSessions() {
+    // Time-series statistics
+    // Called periodically: adds the current online count and version/game mode mix to the
+    // current hour and day, then recomputes launches, unique players and playtime for the
+    // current and previous buckets from session data (so a bucket is complete once it closes).
+    // Server peaks are sampled at the same time.
+    async recordStatsSample(now = new Date()) {
         try {
-            const staleSessions = await this.dbAll(`
-                SELECT session_id FROM sessions
-                WHERE datetime(last_update) <= datetime('now', '-5 minutes')
-            `);
+            const online = await this.getPlayerCount();
+            await this.recordServerPeaks();
 
-            for (const session of staleSessions) {
-                await this.endSession(session.session_id);
+            for (const bucket of Object.keys(STATS_BUCKETS)) {
+                const start = bucketStart(bucket, now);
+                const startSql = toSqlDate(start);
+
+                await this.dbRun(
+                    `INSERT INTO stats_rollups (bucket, bucket_start, samples, online_sum, online_peak)
+                    VALUES (?, ?, 1, ?, ?)
+                    ON CONFLICT(bucket, bucket_start) DO UPDATE SET
+                        samples = stats_rollups.samples + 1,
+                        online_sum = stats_rollups.online_sum + excluded.online_sum,
+                        online_peak = CASE
+                            WHEN excluded.online_peak > stats_rollups.online_peak THEN excluded.online_peak
+                            ELSE stats_rollups.online_peak
+                        END`,
+                    [bucket, startSql, online, online]
+                );
+
+                // Versions only count for players who share them
+                const distributions = {
+                    minecraft_version: `minecraft_version IS NOT NULL AND privacy_show_version = 1`,
+                    game_mode: `game_mode IS NOT NULL`
+                };
+                for (const [dimension, condition] of Object.entries(distributions)) {
+                    const counts = await this.dbAll(
+                        `SELECT ${dimension} as value, COUNT(*) as count
+                        FROM sessions
+                        WHERE ${condition}
+                            AND last_update > ${this.sql.ago(this.sessionTimeout)}
+                        GROUP BY ${dimension}`
+                    );
+                    for (const { value, count } of counts) {
+                        await this.dbRun(
+                            `INSERT INTO stats_distribution (bucket, bucket_start, dimension, value, samples)
+                            VALUES (?, ?, ?, ?, ?)
+                            ON CONFLICT(bucket, bucket_start, dimension, value) DO UPDATE SET
+                                samples = stats_distribution.samples + excluded.samples`,
+                            [bucket, startSql, dimension, value, count]
+                        );
+                    }
+                }
+
+                const previous = new Date(start.getTime() - STATS_BUCKETS[bucket]);
+                await this.rollupActivity(bucket, previous);
+                await this.rollupActivity(bucket, start);
             }
 
-            return staleSessions.length;
+            return online;
         } catch (error) {
-            console.error('Error in cleanupStaleSessions:', error);
+            logger.error('Error in recordStatsSample', error);
             throw error;
         }
     }
 
-    // Get popular versions
-    async getPopularVersions(limit = 10) {
+    // Launches, unique players and playtime (clipped to the bucket) from live and archived sessions.
+    // Summed here rather than in SQL, since date arithmetic differs between backends.
+    async rollupActivity(bucket, start) {
         try {
-            return await this.dbAll(
-                `SELECT 
-                    minecraft_version,
-                    COUNT(*) as count
-                FROM sessions
-                WHERE minecraft_version IS NOT NULL
-                    AND datetime(last_update) > datetime('now', '-24 hours')
-                GROUP BY minecraft_version
-                ORDER BY count DESC
-                LIMIT ?`,
-                [limit]
+            const from = start.getTime();
+            const to = from + STATS_BUCKETS[bucket];
+            const startSql = toSqlDate(start);
+            const endSql = toSqlDate(new Date(to));
+
+            const sessions = await this.dbAll(
+                `SELECT player_id, connected_at, NULL as ended_at FROM sessions
+                WHERE connected_at < ?
+                UNION ALL
+                SELECT player_id, connected_at, ended_at FROM session_history
+                WHERE connected_at < ? AND ended_at >= ?`,
+                [endSql, endSql, startSql]
+            );
+
+            const players = new Set();
+            let launches = 0;
+            let playtime = 0;
+
+            for (const session of sessions) {
+                const connected = fromSqlDate(session.connected_at).getTime();
+                const ended = session.ended_at ? fromSqlDate(session.ended_at).getTime() : Date.now();
+                if (ended < from) continue;
+
+                if (connected >= from) launches++;
+                if (session.player_id !== null) players.add(session.player_id);
+                playtime += Math.max(0, Math.min(ended, to) - Math.max(connected, from));
+            }
+
+            await this.dbRun(
+                `INSERT INTO stats_rollups (bucket, bucket_start, launches, unique_players, playtime)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(bucket, bucket_start) DO UPDATE SET
+                    launches = excluded.launches,
+                    unique_players = excluded.unique_players,
+                    playtime = excluded.playtime`,
+                [bucket, startSql, launches, players.size, Math.floor(playtime / 1000)]
             );
         } catch (error) {
-            console.error('Error in getPopularVersions:', error);
+            logger.error('Error in rollupActivity', error);
             throw error;
         }
     }
 
-    close() {
-        this.db.close((err) => {
-            if (err) {
-                console.error('Error closing database:', err);
+    // Points for one metric between two dates; distributions give the average number of
+    // concurrent players per value over each bucket
+    async getStatsHistory(metric, bucket, from, to) {
+        try {
+            const params = [bucket, toSqlDate(bucketStart(bucket, from)), toSqlDate(to)];
+
+            if (STATS_DISTRIBUTIONS.includes(metric)) {
+                const rows = await this.dbAll(
+                    `SELECT d.bucket_start, d.value, ROUND(d.samples * 1.0 / r.samples, 2) as players
+                    FROM stats_distribution d
+                    JOIN stats_rollups r ON r.bucket = d.bucket AND r.bucket_start = d.bucket_start
+                    WHERE d.bucket = ? AND d.bucket_start >= ? AND d.bucket_start <= ?
+                        AND d.dimension = ? AND r.samples > 0
+                    ORDER BY d.bucket_start ASC, players DESC`,
+                    [...params, metric]
+                );
+
+                const points = [];
+                for (const row of rows) {
+                    let point = points[points.length - 1];
+                    if (!point || point.bucket_start !== row.bucket_start) {
+                        point = { bucket_start: row.bucket_start, values: {} };
+                        points.push(point);
+                    }
+                    point.values[row.value] = row.players;
+                }
+                return points;
             }
-        });
+
+            // Online metrics only exist for buckets that were sampled
+            const sampledOnly = metric.startsWith('online_') ? 'AND samples > 0' : '';
+            return await this.dbAll(
+                `SELECT bucket_start, ${STATS_METRICS[metric]} as value
+                FROM stats_rollups
+                WHERE bucket = ? AND bucket_start >= ? AND bucket_start <= ? ${sampledOnly}
+                ORDER BY bucket_start ASC`,
+                params
+            );
+        } catch (error) {
+            logger.error('Error in getStatsHistory', error);
+            throw error;
+        }
     }
-}
+
+    // One page of a leaderboard, highest value first. Only players whose latest session
+    // opted in (showOnLeaderboard) and shows their username to everyone are listed. With
+    // `playerId`, `me` is that player's own rank among the listed players, whether or not
+    // they are listed themselves.
+    async getLeaderboard(board, { window = 'all', limit = 25, offset = 0, playerId = null } = {}) {
+        try {
+            const since = leaderboardSince(window);
+            const params = since ? [toSqlDate(since)] : [];
+
+            // All-time playtime also counts sessions from before session history was kept
+            const values = board === 'playtime' && !since
+                ? `SELECT id as player_id, total_playtime as value FROM players`
+                : `SELECT h.player_id, ${LEADERBOARDS[board]} as value
+                    FROM session_history h
+                    ${since ? 'WHERE h.ended_at >= ?' : ''}
+                    GROUP BY h.player_id`;
+            const listed = `CASE WHEN privacy_show_leaderboard = ${VISIBILITY.everyone}
+                AND privacy_show_username = ${VISIBILITY.everyone} THEN 1 ELSE 0 END as listed`;
+            const ranked = `
+                WITH board AS (${values}),
+                ranked AS (
+                    SELECT p.id, p.uuid, p.username, board.value
+                    FROM board
+                    JOIN players p ON p.id = board.player_id
+                    WHERE board.value > 0
+                        AND p.anonymized_at IS NULL
+                        AND (
+                            SELECT latest.listed FROM (
+                                SELECT ${listed}, connected_at FROM sessions WHERE player_id = p.id
+                                UNION ALL
+                                SELECT ${listed}, connected_at FROM session_history WHERE player_id = p.id
+                            ) latest
+                            ORDER BY latest.connected_at DESC
+                            LIMIT 1
+                        ) = 1
+                )`;
+
+            const rows = await this.dbAll(
+                `${ranked}
+                SELECT uuid, username, value FROM ranked
+                ORDER BY value DESC, id ASC
+                LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+            const total = await this.dbGet(`${ranked} SELECT COUNT(*) as count FROM ranked`, params);
+
+            let me = null;
+            if (playerId) {
+                const own = await this.dbGet(
+                    `WITH board AS (${values}) SELECT value FROM board WHERE player_id = ?`,
+                    [...params, playerId]
+                );
+                if (own && own.value > 0) {
+                    const ahead = await this.dbGet(
+                        `${ranked}
+                        SELECT COUNT(*) as count FROM ranked
+                        WHERE value > ? OR (value = ? AND id < ?)`,
+                        [...params, own.value, own.value, playerId]
+                    );
+                    const listed = await this.dbGet(`${ranked} SELECT id FROM ranked WHERE id = ?`, [...params, playerId]);
+                    me = { rank: ahead.count + 1, value: own.value, listed: Boolean(listed) };
+                }
+            }
+
+            return {
+                since: since ? toSqlDate(since) : null,
+                total: total.count,
+                entries: rows.map((row, index) => ({ rank: offset + index + 1, ...row })),
+                me
+            };
+        } catch (error) {
+            logger.error('Error in getLeaderboard', error);
+            throw error;
+        }
+    }
+
+    // End sessions with no update within the session timeout, returns the ended sessions
+    // as { sessionId, playerId }
+    async cleanupStaleSessions() {
+        try {
+            const staleSessions = await this.dbAll(`
+                SELECT session_id, player_id FROM sessions
+                WHERE last_update <= ${this.sql.ago(this.sessionTimeout)}
+            `);
+
+            for (const session of staleSessions) {
+                await this.endSession(session.session_id);
+            }
+
+            return staleSessions.map(session => ({ sessionId: session.session_id, playerId: session.player_id }));
+        } catch (error) {
+            logger.error('Error in cleanupStaleSessions', error);
+            throw error;
+        }
+    }
+
+    // Admin: every session with the fields privacy settings normally hide
+    async getAllSessions() {
+        try {
+            const sessions = await this.dbAll(`
+                SELECT 
+                    s.session_id,
+                    s.player_id,
+                    p.uuid,
+                    s.username,
+                    s.status,
+                    s.minecraft_version,
+                    s.world_name,
+                    s.server_address,
+                    s.game_mode,
+                    s.presence,
+                    s.launcher_version,
+                    s.ip_address,
+                    s.connected_at,
+                    s.last_update,
+                    CASE WHEN s.last_update <= ${this.sql.ago(this.sessionTimeout)} THEN 1 ELSE 0 END as stale,
+                    s.privacy_show_username,
+                    s.privacy_show_version,
+                    s.privacy_show_world,
+                    s.privacy_show_server,
+                    s.privacy_show_modpack,
+                    s.privacy_show_party,
+                    s.privacy_show_leaderboard
+                FROM sessions s
+                LEFT JOIN players p ON p.id = s.player_id
+                ORDER BY s.connected_at DESC
+            `);
+            return sessions.map(session => ({ ...session, presence: JSON.parse(session.presence || '{}') }));
+        } catch (error) {
+            logger.error('Error in getAllSessions', error);
+            throw error;
+        }
+    }
+
+    // Bans: UUIDs are stored normalized and usernames lowercased, so lookups match any spelling
+    async addBan({ type, value, reason = null, expiresAt = null }) {
+        try {
+            const normalized = normalizeBanValue(type, value);
+            await this.dbRun(
+                `INSERT INTO bans (type, value, reason, expires_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(type, value) DO UPDATE SET
+                    reason = excluded.reason,
+                    expires_at = excluded.expires_at,
+                    created_at = ${this.sql.now}`,
+                [type, normalized, reason, expiresAt ? toSqlDate(new Date(expiresAt)) : null]
+            );
+            return await this.dbGet(`SELECT * FROM bans WHERE type = ? AND value = ?`, [type, normalized]);
+        } catch (error) {
+            logger.error('Error in addBan', error);
+            throw error;
+        }
+    }
+
+    async removeBan(id) {
+        try {
+            const result = await this.dbRun(`DELETE FROM bans WHERE id = ?`, [id]);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in removeBan', error);
+            throw error;
+        }
+    }
+
+    async getBans() {
+        try {
+            return await this.dbAll(`
+                SELECT *, CASE WHEN expires_at <= ${this.sql.now} THEN 1 ELSE 0 END as expired
+                FROM bans
+                ORDER BY created_at DESC
+            `);
+        } catch (error) {
+            logger.error('Error in getBans', error);
+            throw error;
+        }
+    }
+
+    // The first unexpired ban matching any of the given identifiers
+    async findActiveBan({ uuid = null, username = null, ipAddress = null }) {
+        try {
+            const candidates = [
+                ['uuid', uuid],
+                ['username', username],
+                ['ip', ipAddress]
+            ].filter(([, value]) => value);
+            if (candidates.length === 0) return null;
+
+            const conditions = candidates.map(() => '(type = ? AND value = ?)').join(' OR ');
+            const params = candidates.flatMap(([type, value]) => [type, normalizeBanValue(type, value)]);
+
+            return await this.dbGet(
+                `SELECT * FROM bans
+                WHERE (${conditions})
+                    AND (expires_at IS NULL OR expires_at > ${this.sql.now})
+                LIMIT 1`,
+                params
+            );
+        } catch (error) {
+            logger.error('Error in findActiveBan', error);
+            throw error;
+        }
+    }
+
+    // Live sessions a ban applies to, so they can be ended right away
+    async getSessionsMatchingBan(type, value) {
+        try {
+            const normalized = normalizeBanValue(type, value);
+            const conditions = {
+                uuid: `p.uuid = ?`,
+                username: `LOWER(s.username) = ?`,
+                ip: `s.ip_address = ?`
+            };
+            const rows = await this.dbAll(
+                `SELECT s.session_id
+                FROM sessions s
+                LEFT JOIN players p ON p.id = s.player_id
+                WHERE ${conditions[type]}`,
+                [normalized]
+            );
+            return rows.map(row => row.session_id);
+        } catch (error) {
+            logger.error('Error in getSessionsMatchingBan', error);
+            throw error;
+        }
+    }
+
+    // Most players online at once so far today (UTC) by the statistics samples; null
+    // before today's first sample
+    async getDailyPeak(now = new Date()) {
+        try {
+            const row = await this.dbGet(
+                `SELECT online_peak FROM stats_rollups WHERE bucket = 'day' AND bucket_start = ?`,
+                [toSqlDate(bucketStart('day', now))]
+            );
+            return row ? row.online_peak : null;
+        } catch (error) {
+            logger.error('Error in getDailyPeak', error);
+            throw error;
+        }
+    }
+
+    // Zero the counters; optionally drop the hourly/daily rollups too
+    async resetStatistics({ includeHistory = false } = {}) {
+        try {
+            await this.dbRun(`UPDATE statistics SET value = 0, updated_at = ${this.sql.now}`);
+            if (includeHistory) {
+                await this.dbRun(`DELETE FROM stats_rollups`);
+                await this.dbRun(`DELETE FROM stats_distribution`);
+                await this.dbRun(`DELETE FROM server_stats`);
+            }
+        } catch (error) {
+            logger.error('Error in resetStatistics', error);
+            throw error;
+        }
+    }
+
+    async logAdminAction(action, target = null, details = null, ipAddress = null) {
+        try {
+            await this.dbRun(
+                `INSERT INTO admin_audit_log (action, target, details, ip_address) VALUES (?, ?, ?, ?)`,
+                [action, target, details ? JSON.stringify(details) : null, ipAddress]
+            );
+        } catch (error) {
+            logger.error('Error in logAdminAction', error);
+            throw error;
+        }
+    }
+
+    async getAuditLog({ limit = 50, offset = 0 } = {}) {
+        try {
+            const total = await this.dbGet(`SELECT COUNT(*) as count FROM admin_audit_log`);
+            const entries = await this.dbAll(
+                `SELECT * FROM admin_audit_log ORDER BY id DESC LIMIT ? OFFSET ?`,
+                [limit, offset]
+            );
+            entries.forEach(entry => {
+                entry.details = entry.details ? JSON.parse(entry.details) : null;
+            });
+            return { total: total.count, entries };
+        } catch (error) {
+            logger.error('Error in getAuditLog', error);
+            throw error;
+        }
+    }
+
+    // ===== Webhooks (see webhooks.js) =====
+
+    async getWebhooks() {
+        try {
+            const rows = await this.dbAll(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id ASC`);
+            return rows.map(webhookFromRow);
+        } catch (error) {
+            logger.error('Error in getWebhooks', error);
+            throw error;
+        }
+    }
+
+    async getWebhook(id) {
+        try {
+            const row = await this.dbGet(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [id]);
+            return row ? webhookFromRow(row) : null;
+        } catch (error) {
+            logger.error('Error in getWebhook', error);
+            throw error;
+        }
+    }
+
+    async createWebhook({ url, secret, events, description = null }) {
+        try {
+            const id = await this.dbInsert(
+                `INSERT INTO webhooks (url, secret, events, description) VALUES (?, ?, ?, ?)`,
+                [url, secret, JSON.stringify(events), description]
+            );
+            return { ...await this.getWebhook(id), secret };
+        } catch (error) {
+            logger.error('Error in createWebhook', error);
+            throw error;
+        }
+    }
+
+    // Change the URL, events, description or enabled flag; the ones left out keep their
+    // value. Enabling a webhook clears its failure count. Resolves to null for an unknown id.
+    async updateWebhook(id, { url, events, description, enabled }) {
+        try {
+            const fields = [`updated_at = ${this.sql.now}`];
+            const values = [];
+
+            if (url !== undefined) {
+                fields.push('url = ?');
+                values.push(url);
+            }
+            if (events !== undefined) {
+                fields.push('events = ?');
+                values.push(JSON.stringify(events));
+            }
+            if (description !== undefined) {
+                fields.push('description = ?');
+                values.push(description);
+            }
+            if (enabled === true) {
+                fields.push('enabled = 1', 'failure_count = 0', 'disabled_at = NULL');
+            } else if (enabled === false) {
+                fields.push('enabled = 0', `disabled_at = ${this.sql.now}`);
+            }
+
+            const result = await this.dbRun(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+            if (result.changes === 0) return null;
+
+            if (enabled === false) await this.cancelWebhookDeliveries(id, 'Webhook disabled');
+            return await this.getWebhook(id);
+        } catch (error) {
+            logger.error('Error in updateWebhook', error);
+            throw error;
+        }
+    }
+
+    // Deletes the webhook together with its delivery log
+    async deleteWebhook(id) {
+        try {
+            await this.dbRun(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+            const result = await this.dbRun(`DELETE FROM webhooks WHERE id = ?`, [id]);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in deleteWebhook', error);
+            throw error;
+        }
+    }
+
+    // Queue `payload` (a JSON string) for every enabled webhook that receives `event`;
+    // `playerId` is the player it identifies, if any. Resolves to the number queued.
+    async queueWebhookDeliveries(event, payload, playerId = null) {
+        try {
+            const webhooks = await this.dbAll(`SELECT id, events FROM webhooks WHERE enabled = 1`);
+            const targets = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event));
+
+            for (const webhook of targets) {
+                await this.dbRun(
+                    `INSERT INTO webhook_deliveries (webhook_id, event, payload, player_id) VALUES (?, ?, ?, ?)`,
+                    [webhook.id, event, payload, playerId]
+                );
+            }
+            return targets.length;
+        } catch (error) {
+            logger.error('Error in queueWebhookDeliveries', error);
+            throw error;
+        }
+    }
+
+    // Pending deliveries whose next attempt is due, oldest first, with their webhook's URL and secret
+    async getDueWebhookDeliveries(limit) {
+        try {
+            return await this.dbAll(
+                `SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.status = 'pending'
+                    AND d.next_attempt_at <= ${this.sql.now}
+                    AND w.enabled = 1
+                ORDER BY d.id ASC
+                LIMIT ?`,
+                [limit]
+            );
+        } catch (error) {
+            logger.error('Error in getDueWebhookDeliveries', error);
+            throw error;
+        }
+    }
+
+    // A failed attempt that will be tried again in `retryInSeconds`
+    async retryWebhookDelivery(id, { responseStatus = null, error = null, retryInSeconds }) {
+        try {
+            await this.dbRun(
+                `UPDATE webhook_deliveries
+                SET attempts = attempts + 1, response_status = ?, error = ?,
+                    next_attempt_at = ${this.sql.fromNow(`${Math.ceil(retryInSeconds)} seconds`)}
+                WHERE id = ?`,
+                [responseStatus, error, id]
+            );
+        } catch (err) {
+            logger.error('Error in retryWebhookDelivery', err);
+            throw err;
+        }
+    }
+
+    // The last attempt of a delivery. A success resets the webhook's failure count; a
+    // failure adds to it and disables the webhook at `disableAfter` consecutive failures.
+    // Resolves to true when this disabled the webhook.
+    async finishWebhookDelivery(id, { delivered, responseStatus = null, error = null, disableAfter }) {
+        try {
+            await this.dbRun(
+                `UPDATE webhook_deliveries
+                SET status = ?, attempts = attempts + 1, response_status = ?, error = ?,
+                    completed_at = ${this.sql.now}
+                WHERE id = ?`,
+                [delivered ? 'delivered' : 'failed', responseStatus, error, id]
+            );
+
+            const delivery = await this.dbGet(`SELECT webhook_id FROM webhook_deliveries WHERE id = ?`, [id]);
+            if (!delivery) return false;
+
+            if (delivered) {
+                await this.dbRun(`UPDATE webhooks SET failure_count = 0 WHERE id = ?`, [delivery.webhook_id]);
+                return false;
+            }
+
+            await this.dbRun(`UPDATE webhooks SET failure_count = failure_count + 1 WHERE id = ?`, [delivery.webhook_id]);
+            const result = await this.dbRun(
+                `UPDATE webhooks
+                SET enabled = 0, disabled_at = ${this.sql.now}, updated_at = ${this.sql.now}
+                WHERE id = ? AND enabled = 1 AND failure_count >= ?`,
+                [delivery.webhook_id, disableAfter]
+            );
+            if (result.changes === 0) return false;
+
+            await this.cancelWebhookDeliveries(delivery.webhook_id, `Webhook disabled after ${disableAfter} failed deliveries`);
+            return true;
+        } catch (err) {
+            logger.error('Error in finishWebhookDelivery', err);
+            throw err;
+        }
+    }
+
+    // Mark a webhook's pending deliveries as failed, so re-enabling it doesn't send stale events
+    async cancelWebhookDeliveries(webhookId, reason) {
+        try {
+            await this.dbRun(
+                `UPDATE webhook_deliveries
+                SET status = 'failed', error = ?, completed_at = ${this.sql.now}
+                WHERE webhook_id = ? AND status = 'pending'`,
+                [reason, webhookId]
+            );
+        } catch (error) {
+            logger.error('Error in cancelWebhookDeliveries', error);
+            throw error;
+        }
+    }
+
+    // A webhook's delivery log, newest first; `status` narrows it to one status
+    async getWebhookDeliveries(webhookId, { status = null, limit = 50, offset = 0 } = {}) {
+        try {
+            const condition = status ? 'AND status = ?' : '';
+            const params = status ? [webhookId, status] : [webhookId];
+
+            const total = await this.dbGet(
+                `SELECT COUNT(*) as count FROM webhook_deliveries WHERE webhook_id = ? ${condition}`,
+                params
+            );
+            const deliveries = await this.dbAll(
+                `SELECT id, event, payload, status, attempts, next_attempt_at, response_status, error,
+                    created_at, completed_at
+                FROM webhook_deliveries
+                WHERE webhook_id = ? ${condition}
+                ORDER BY id DESC
+                LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+            deliveries.forEach((delivery) => {
+                delivery.payload = JSON.parse(delivery.payload);
+            });
+            return { total: total.count, deliveries };
+        } catch (error) {
+            logger.error('Error in getWebhookDeliveries', error);
+            throw error;
+        }
+    }
+
+    // Drop finished deliveries older than `days` from the log; resolves to the number removed
+    async purgeWebhookDeliveries(days) {
+        try {
+            const result = await this.dbRun(
+                `DELETE FROM webhook_deliveries
+                WHERE status <> 'pending'
+                    AND completed_at < ${this.sql.ago(`${Math.floor(days)} days`)}`
+            );
+            return result.changes;
+        } catch (error) {
+            logger.error('Error in purgeWebhookDeliveries', error);
+            throw error;
+        }
+    }
+
+    // Everything stored about a player, for data export. Token hashes are left out; bans
+    // are matched by the player's UUID, any name they used and the IPs of live sessions.
+    async exportPlayerData(playerId) {
+        try {
+            const player = await this.dbGet(
+                `SELECT uuid, username, first_seen, last_seen, total_playtime, launcher_version
+                FROM players WHERE id = ?`,
+                [playerId]
+            );
+            if (!player) return null;
+
+            const usernames = await this.getUsernameHistory(playerId);
+            const launcherVersions = await this.dbAll(
+                `SELECT launcher_version, first_seen, last_seen
+                FROM player_launcher_versions
+                WHERE player_id = ?
+                ORDER BY first_seen ASC`,
+                [playerId]
+            );
+            const sessions = await this.dbAll(
+                `SELECT session_id, username, status, minecraft_version, world_name, server_address,
+                    game_mode, presence, launcher_version, ip_address, connected_at, last_update,
+                    privacy_show_username, privacy_show_version, privacy_show_world, privacy_show_server,
+                    privacy_show_modpack, privacy_show_party, privacy_show_leaderboard
+                FROM sessions
+                WHERE player_id = ?
+                ORDER BY connected_at DESC`,
+                [playerId]
+            );
+            const sessionHistory = await this.dbAll(
+                `SELECT session_id, username, minecraft_version, world_name, server_address,
+                    game_mode, launcher_version, connected_at, ended_at, duration,
+                    privacy_show_username, privacy_show_version, privacy_show_world, privacy_show_server,
+                    privacy_show_leaderboard
+                FROM session_history
+                WHERE player_id = ?
+                ORDER BY connected_at DESC, id DESC`,
+                [playerId]
+            );
+
+            const webhookDeliveries = await this.dbAll(
+                `SELECT webhook_id, event, payload, status, created_at, completed_at
+                FROM webhook_deliveries
+                WHERE player_id = ?
+                ORDER BY id DESC`,
+                [playerId]
+            );
+
+            const banKeys = [
+                ['uuid', player.uuid],
+                ...usernames.map(name => ['username', name.username]),
+                ...sessions.map(session => ['ip', session.ip_address])
+            ].filter(([, value]) => value);
+            const bans = banKeys.length === 0 ? [] : await this.dbAll(
+                `SELECT type, value, reason, created_at, expires_at FROM bans
+                WHERE ${banKeys.map(() => '(type = ? AND value = ?)').join(' OR ')}
+                ORDER BY created_at DESC`,
+                banKeys.flatMap(([type, value]) => [type, normalizeBanValue(type, value)])
+            );
+
+            return {
+                player,
+                usernames,
+                launcher_versions: launcherVersions,
+                sessions: sessions.map(session => ({ ...session, presence: JSON.parse(session.presence || '{}') })),
+                session_history: sessionHistory,
+                friends: await this.getFriends(playerId),
+                bans,
+                webhook_deliveries: webhookDeliveries.map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) }))
+            };
+        } catch (error) {
+            logger.error('Error in exportPlayerData', error);
+            throw error;
+        }
+    }
+
+    // What a session token alone may export: that session, and bans on the UUID, name and
+    // address it presented. Connecting proves no identity (anyone can claim a UUID), so the
+    // player's other sessions, names and friends are only in exportPlayerData, for admins.
+    async exportSessionData(sessionId) {
+        try {
+            const session = await this.dbGet(
+                `SELECT s.session_id, p.uuid, s.username, s.status, s.minecraft_version, s.world_name,
+                    s.server_address, s.game_mode, s.presence, s.launcher_version, s.ip_address,
+                    s.connected_at, s.last_update, s.privacy_show_username, s.privacy_show_version,
+                    s.privacy_show_world, s.privacy_show_server, s.privacy_show_modpack, s.privacy_show_party,
+                    s.privacy_show_leaderboard
+                FROM sessions s
+                JOIN players p ON p.id = s.player_id
+                WHERE s.session_id = ?`,
+                [sessionId]
+            );
+            if (!session) return null;
+
+            const banKeys = [
+                ['uuid', session.uuid],
+                ['username', session.username],
+                ['ip', session.ip_address]
+            ].filter(([, value]) => value);
+            const bans = await this.dbAll(
+                `SELECT type, value, reason, created_at, expires_at FROM bans
+                WHERE ${banKeys.map(() => '(type = ? AND value = ?)').join(' OR ')}
+                ORDER BY created_at DESC`,
+                banKeys.flatMap(([type, value]) => [type, normalizeBanValue(type, value)])
+            );
+
+            return {
+                sessions: [{ ...session, presence: JSON.parse(session.presence || '{}') }],
+                bans
+            };
+        } catch (error) {
+            logger.error('Error in exportSessionData', error);
+            throw error;
+        }
+    }
+
+    // What a session token alone may erase, the same scope as exportSessionData: the
+    // session's archived row and the webhook deliveries about it keep only what the
+    // statistics count. End the session first. The player, their other sessions and bans
+    // are left alone.
+    async anonymizeSession(sessionId, playerId) {
+        try {
+            await this.dbRun(
+                `UPDATE session_history
+                SET username = 'Anonymous', minecraft_version = NULL, world_name = NULL, server_address = NULL,
+                    launcher_version = NULL, privacy_show_username = ?, privacy_show_version = ?,
+                    privacy_show_world = ?, privacy_show_server = ?, privacy_show_leaderboard = ?
+                WHERE session_id = ?`,
+                [VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, sessionId]
+            );
+
+            const deliveries = await this.dbAll(
+                `SELECT id, payload FROM webhook_deliveries WHERE player_id = ?`,
+                [playerId]
+            );
+            for (const delivery of deliveries) {
+                const payload = JSON.parse(delivery.payload);
+                const { data } = payload;
+                if (!data) continue;
+
+                if (data.player && data.player.session_id === sessionId) {
+                    data.player = anonymousPresence(data.player);
+                } else if (data.sessionIds && data.sessionIds.includes(sessionId)) {
+                    data.sessionIds = data.sessionIds.filter(id => id !== sessionId);
+                } else {
+                    continue;
+                }
+                await this.dbRun(
+                    `UPDATE webhook_deliveries SET payload = ? WHERE id = ?`,
+                    [JSON.stringify(payload), delivery.id]
+                );
+            }
+        } catch (error) {
+            logger.error('Error in anonymizeSession', error);
+            throw error;
+        }
+    }
+
+    // Erase a player's personal data. Live sessions end first, so their playtime still
+    // reaches the statistics. Names, launcher versions and friendships are deleted, and
+    // webhook deliveries about the player are scrubbed. The player row and archived
+    // sessions keep only what the statistics rollups count (player id, times, game mode).
+    // Bans stay in force. Safe to run again after a failure.
+    // Resolves to { sessionIds, contactIds }: the ended sessions and the players whose
+    // friends lists changed.
+    async anonymizePlayer(playerId) {
+        try {
+            const live = await this.dbAll(`SELECT session_id FROM sessions WHERE player_id = ?`, [playerId]);
+            for (const session of live) {
+                await this.endSession(session.session_id);
+            }
+
+            const contacts = await this.dbAll(
+                `SELECT other_id as id FROM friendships WHERE player_id = ?
+                UNION
+                SELECT player_id as id FROM friendships WHERE other_id = ?`,
+                [playerId, playerId]
+            );
+            await this.dbRun(`DELETE FROM friendships WHERE player_id = ? OR other_id = ?`, [playerId, playerId]);
+            await this.dbRun(`DELETE FROM player_names WHERE player_id = ?`, [playerId]);
+            await this.dbRun(`DELETE FROM player_launcher_versions WHERE player_id = ?`, [playerId]);
+
+            // Logged (and pending) webhook deliveries keep the event, without who it was about
+            const deliveries = await this.dbAll(
+                `SELECT id, payload FROM webhook_deliveries WHERE player_id = ?`,
+                [playerId]
+            );
+            for (const delivery of deliveries) {
+                const payload = JSON.parse(delivery.payload);
+                if (payload.data && payload.data.player) payload.data.player = anonymousPresence(payload.data.player);
+                if (payload.data && payload.data.sessionIds) payload.data.sessionIds = [];
+                await this.dbRun(
+                    `UPDATE webhook_deliveries SET payload = ? WHERE id = ?`,
+                    [JSON.stringify(payload), delivery.id]
+                );
+            }
+
+            await this.dbRun(
+                `UPDATE session_history
+                SET username = 'Anonymous', minecraft_version = NULL, world_name = NULL, server_address = NULL,
+                    launcher_version = NULL, privacy_show_username = ?, privacy_show_version = ?,
+                    privacy_show_world = ?, privacy_show_server = ?, privacy_show_leaderboard = ?
+                WHERE player_id = ?`,
+                [VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, VISIBILITY.hidden, playerId]
+            );
+
+            // A fresh key, so the same UUID or name connecting again starts a new player
+            await this.dbRun(
+                `UPDATE players
+                SET player_key = ?, uuid = NULL, username = 'Anonymous', launcher_version = NULL,
+                    secret_hash = NULL, anonymized_at = COALESCE(anonymized_at, ${this.sql.now})
+                WHERE id = ?`,
+                [`anonymized:${crypto.randomUUID()}`, playerId]
+            );
+
+            return {
+                sessionIds: live.map(session => session.session_id),
+                contactIds: contacts.map(contact => contact.id)
+            };
+        } catch (error) {
+            logger.error('Error in anonymizePlayer', error);
+            throw error;
+        }
+    }
+
+    // For a player who lost their secret: their live sessions end and the next connection
+    // is issued a new secret (see claimPlayer). Resolves to the ended session IDs.
+    async resetPlayerSecret(playerId) {
+        try {
+            const live = await this.dbAll(`SELECT session_id FROM sessions WHERE player_id = ?`, [playerId]);
+            for (const session of live) {
+                await this.endSession(session.session_id);
+            }
+            await this.dbRun(`UPDATE players SET secret_hash = NULL WHERE id = ?`, [playerId]);
+            return live.map(session => session.session_id);
+        } catch (error) {
+            logger.error('Error in resetPlayerSecret', error);
+            throw error;
+        }
+    }
+
+    // Retention: anonymize players not seen for `days` days; resolves to how many were purged
+    async purgeInactivePlayers(days) {
+        try {
+            const inactive = await this.dbAll(
+                `SELECT id FROM players
+                WHERE anonymized_at IS NULL
+                    AND last_seen < ${this.sql.ago(`${Math.floor(days)} days`)}
+                    AND NOT EXISTS (SELECT 1 FROM sessions s WHERE s.player_id = players.id)`
+            );
+            for (const player of inactive) {
+                await this.anonymizePlayer(player.id);
+            }
+            return inactive.length;
+        } catch (error) {
+            logger.error('Error in purgeInactivePlayers', error);
+            throw error;
+        }
+    }
+
+    // Friends: rows in `friendships` go one way, so a pair of players has up to two
+    async getFriendshipStatus(playerId, otherId) {
+        try {
+            const row = await this.dbGet(
+                `SELECT status FROM friendships WHERE player_id = ? AND other_id = ?`,
+                [playerId, otherId]
+            );
+            return row ? row.status : null;
+        } catch (error) {
+            logger.error('Error in getFriendshipStatus', error);
+            throw error;
+        }
+    }
+
+    async getFriendIds(playerId) {
+        try {
+            const rows = await this.dbAll(
+                `SELECT other_id FROM friendships WHERE player_id = ? AND status = 'friends'`,
+                [playerId]
+            );
+            return rows.map(row => row.other_id);
+        } catch (error) {
+            logger.error('Error in getFriendIds', error);
+            throw error;
+        }
+    }
+
+    // Who is looking, for presenceFor() and getOnlinePlayers()
+    async getViewer(playerId) {
+        return { playerId, friendIds: new Set(await this.getFriendIds(playerId)) };
+    }
+
+    // Friends, requests both ways and blocked players, each as { uuid, username, since }
+    async getFriends(playerId) {
+        try {
+            const rows = await this.dbAll(
+                `SELECT f.player_id, f.status, f.created_at, p.uuid, p.username
+                FROM friendships f
+                JOIN players p ON p.id = CASE WHEN f.player_id = ? THEN f.other_id ELSE f.player_id END
+                WHERE f.player_id = ? OR (f.other_id = ? AND f.status = 'requested')
+                ORDER BY p.username`,
+                [playerId, playerId, playerId]
+            );
+
+            const lists = { friends: [], incoming: [], outgoing: [], blocked: [] };
+            rows.forEach((row) => {
+                const entry = { uuid: row.uuid, username: row.username, since: row.created_at };
+                if (row.status === 'friends') lists.friends.push(entry);
+                else if (row.status === 'blocked') lists.blocked.push(entry);
+                else if (row.player_id === playerId) lists.outgoing.push(entry);
+                else lists.incoming.push(entry);
+            });
+            return lists;
+        } catch (error) {
+            logger.error('Error in getFriends', error);
+            throw error;
+        }
+    }
+
+    // Resolves to 'requested', 'accepted' (the other player had already asked),
+    // 'already_friends', 'already_requested', or 'blocked' when either player blocked the other
+    async sendFriendRequest(playerId, otherId) {
+        try {
+            const mine = await this.getFriendshipStatus(playerId, otherId);
+            const theirs = await this.getFriendshipStatus(otherId, playerId);
+
+            if (mine === 'blocked' || theirs === 'blocked') return 'blocked';
+            if (mine === 'friends') return 'already_friends';
+            if (theirs === 'requested') {
+                await this.addFriendship(playerId, otherId);
+                return 'accepted';
+            }
+            if (mine === 'requested') return 'already_requested';
+
+            await this.dbRun(
+                `INSERT INTO friendships (player_id, other_id, status) VALUES (?, ?, 'requested')
+                ON CONFLICT (player_id, other_id) DO NOTHING`,
+                [playerId, otherId]
+            );
+            return 'requested';
+        } catch (error) {
+            logger.error('Error in sendFriendRequest', error);
+            throw error;
+        }
+    }
+
+    // Accept a pending request from `requesterId`; false when there is none
+    async acceptFriendRequest(playerId, requesterId) {
+        try {
+            if (await this.getFriendshipStatus(requesterId, playerId) !== 'requested') return false;
+            await this.addFriendship(playerId, requesterId);
+            return true;
+        } catch (error) {
+            logger.error('Error in acceptFriendRequest', error);
+            throw error;
+        }
+    }
+
+    // Both directions in one statement, replacing the request rows
+    async addFriendship(playerId, otherId) {
+        try {
+            await this.dbRun(
+                `INSERT INTO friendships (player_id, other_id, status)
+                VALUES (?, ?, 'friends'), (?, ?, 'friends')
+                ON CONFLICT (player_id, other_id) DO UPDATE SET
+                    status = excluded.status,
+                    created_at = ${this.sql.now}`,
+                [playerId, otherId, otherId, playerId]
+            );
+        } catch (error) {
+            logger.error('Error in addFriendship', error);
+            throw error;
+        }
+    }
+
+    // Decline a request from the other player, or cancel one sent to them
+    async removeFriendRequest(playerId, otherId) {
+        try {
+            const result = await this.dbRun(
+                `DELETE FROM friendships
+                WHERE status = 'requested'
+                    AND ((player_id = ? AND other_id = ?) OR (player_id = ? AND other_id = ?))`,
+                [playerId, otherId, otherId, playerId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in removeFriendRequest', error);
+            throw error;
+        }
+    }
+
+    async removeFriend(playerId, otherId) {
+        try {
+            const result = await this.dbRun(
+                `DELETE FROM friendships
+                WHERE status = 'friends'
+                    AND ((player_id = ? AND other_id = ?) OR (player_id = ? AND other_id = ?))`,
+                [playerId, otherId, otherId, playerId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in removeFriend', error);
+            throw error;
+        }
+    }
+
+    // Ends any friendship or request between the two; a block the other player holds stays
+    async blockPlayer(playerId, otherId) {
+        try {
+            await this.dbRun(
+                `DELETE FROM friendships WHERE player_id = ? AND other_id = ? AND status <> 'blocked'`,
+                [otherId, playerId]
+            );
+            await this.dbRun(
+                `INSERT INTO friendships (player_id, other_id, status) VALUES (?, ?, 'blocked')
+                ON CONFLICT (player_id, other_id) DO UPDATE SET
+                    status = excluded.status,
+                    created_at = ${this.sql.now}`,
+                [playerId, otherId]
+            );
+        } catch (error) {
+            logger.error('Error in blockPlayer', error);
+            throw error;
+        }
+    }
+
+    async unblockPlayer(playerId, otherId) {
+        try {
+            const result = await this.dbRun(
+                `DELETE FROM friendships WHERE player_id = ? AND other_id = ? AND status = 'blocked'`,
+                [playerId, otherId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in unblockPlayer', error);
+            throw error;
+        }
+    }
+
+    // Take or renew a named lease; resolves to true while `holder` owns it.
+    // An expired lease can be taken over by anyone.
+    async acquireLease(name, holder, ttlMs) {
+        try {
+            const expiresAt = this.sql.fromNow(`${Math.ceil(ttlMs / 1000)} seconds`);
+            const result = await this.dbRun(
+                `INSERT INTO leases (name, holder, expires_at) VALUES (?, ?, ${expiresAt})
+                ON CONFLICT(name) DO UPDATE SET
+                    holder = excluded.holder,
+                    expires_at = excluded.expires_at
+                WHERE leases.holder = excluded.holder OR leases.expires_at <= ${this.sql.now}`,
+                [name, holder]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error in acquireLease', error);
+            throw error;
+        }
+    }
+
+    async releaseLease(name, holder) {
+        try {
+            await this.dbRun(`DELETE FROM leases WHERE name = ? AND holder = ?`, [name, holder]);
+        } catch (error) {
+            logger.error('Error in releaseLease', error);
+            throw error;
+        }
+    }
+
+    // Get popular versions
+    async getPopularVersions(limit = 10) {
+        try {
+            return await this.dbAll(
+                `SELECT 
+                    minecraft_version,
+                    COUNT(*) as count
+                FROM sessions
+                WHERE minecraft_version IS NOT NULL
+                    AND last_update > ${this.sql.ago('24 hours')}
+                GROUP BY minecraft_version
+                ORDER BY count DESC
+                LIMIT ?`,
+                [limit]
+            );
+        } catch (error) {
+            logger.error('Error in getPopularVersions', error);
+            throw error;
+        }
+    }
+
+    // Launcher versions of the sessions started in the last `days` days, most players first:
+    // [{ launcher_version, players, sessions }]. A player who upgraded counts for each version.
+    async getLauncherVersions(days = 30) {
+        try {
+            return await this.dbAll(
+                `SELECT
+                    launcher_version,
+                    COUNT(DISTINCT player_id) as players,
+                    COUNT(*) as sessions
+                FROM (
+                    SELECT player_id, launcher_version, connected_at FROM sessions
+                    UNION ALL
+                    SELECT player_id, launcher_version, connected_at FROM session_history
+                ) s
+                WHERE launcher_version IS NOT NULL
+                    AND connected_at > ${this.sql.ago(`${Math.floor(days)} days`)}
+                GROUP BY launcher_version
+                ORDER BY players DESC, sessions DESC, launcher_version ASC`
+            );
+        } catch (error) {
+            logger.error('Error in getLauncherVersions', error);
+            throw error;
+        }
+    }
+
+    // Readiness probe: a read, and a write that matches no rows. The write still needs the
+    // write lock, so a locked or read-only database fails here. Resolves to the schema version.
+    async ping() {
+        try {
+            const row = await this.dbGet(`SELECT MAX(version) as version FROM schema_version`);
+            await this.dbRun(`UPDATE schema_version SET version = version WHERE version < 0`);
+            return row.version;
+        } catch (error) {
+            logger.error('Error in ping', error);
+            throw error;
+        }
+    }
+
+    close() {
+        return this.driver.close();
+    }
+}
+
+PlayerDatabase.normalizeUuid = normalizeUuid;
+PlayerDatabase.LEADERBOARDS = Object.keys(LEADERBOARDS);
+PlayerDatabase.LEADERBOARD_WINDOWS = LEADERBOARD_WINDOWS;
+PlayerDatabase.normalizeServerAddress = normalizeServerAddress;
+PlayerDatabase.presenceFor = presenceFor;
+PlayerDatabase.VISIBILITY = VISIBILITY;
+PlayerDatabase.PRIVACY_SETTINGS = Object.keys(PRIVACY_COLUMNS);
+PlayerDatabase.STATS_BUCKETS = STATS_BUCKETS;
+PlayerDatabase.STATS_HISTORY_METRICS = [...Object.keys(STATS_METRICS), ...STATS_DISTRIBUTIONS];
 
 module.exports = PlayerDatabase;
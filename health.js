@@ -0,0 +1,99 @@
+/**
+ * Readiness checks for /health/ready
+ * - Each check returns a component report: { status: 'ok' | 'degraded', ...detail }.
+ *   The instance is ready when every component is ok.
+ * - Checks only read state that server.js records as it runs (listener errors, the last
+ *   cleanup run, the certificate it loaded); only the database check does any I/O.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A read and a write round trip (see PlayerDatabase#ping), so a locked database fails too
+async function checkDatabase(db, timeoutMs) {
+    const start = Date.now();
+    try {
+        const schemaVersion = await withTimeout(db.ping(), timeoutMs, `No response within ${timeoutMs}ms`);
+        return { status: 'ok', latencyMs: Date.now() - start, schemaVersion };
+    } catch (error) {
+        return { status: 'degraded', latencyMs: Date.now() - start, error: error.message };
+    }
+}
+
+// An HTTP(S) server, with the error it failed to listen with (server.lastError) if any
+function checkListener(server, port) {
+    if (!server) return { status: 'degraded', port, error: 'Not started' };
+    if (!server.listening) {
+        return { status: 'degraded', port, error: server.lastError ? server.lastError.message : 'Not listening' };
+    }
+    return { status: 'ok', port };
+}
+
+// A WebSocketServer from setupWSS; it can only accept upgrades while its server listens
+function checkWebSocketServer(wss, server) {
+    if (!wss) return { status: 'degraded', error: 'Not started' };
+    if (wss.closed) return { status: 'degraded', error: 'Closed' };
+    if (!server || !server.listening) return { status: 'degraded', error: 'Server not listening' };
+    return { status: 'ok', clients: wss.clients.size };
+}
+
+// A leader-only job ({ activeSince, lastSuccess, lastError }; times in ms). `activeSince`
+// is its first run since this instance became leader. The job is late once `maxAgeMs`
+// passes without a successful run in that time; other instances don't run it at all.
+function checkLeaderJob(job, { leader, maxAgeMs, now = Date.now() }) {
+    const report = {
+        lastSuccess: job.lastSuccess ? new Date(job.lastSuccess).toISOString() : null,
+        ...(job.lastError && { lastError: job.lastError })
+    };
+    if (!leader || !job.activeSince) return { status: 'ok', leader, ...report };
+
+    const since = Math.max(job.lastSuccess || 0, job.activeSince);
+    if (now - since > maxAgeMs) {
+        return { status: 'degraded', leader: true, ...report, error: `No successful run for ${Math.round((now - since) / 1000)}s` };
+    }
+    return { status: 'ok', leader: true, ...report };
+}
+
+// When a PEM certificate expires, or null if it can't be parsed
+function certificateExpiry(pem) {
+    try {
+        return new Date(new crypto.X509Certificate(pem).validTo);
+    } catch (_) {
+        return null;
+    }
+}
+
+// Expired is degraded; within `warnDays` of expiring is still ok, with a warning
+function checkCertificate(expiresAt, { warnDays, now = Date.now() }) {
+    if (!expiresAt) return { status: 'degraded', error: 'Certificate could not be read' };
+
+    const daysLeft = Math.floor((expiresAt.getTime() - now) / DAY_MS);
+    const report = { expiresAt: expiresAt.toISOString(), daysLeft };
+    if (expiresAt.getTime() <= now) return { status: 'degraded', ...report, error: 'Certificate has expired' };
+    if (daysLeft < warnDays) return { status: 'ok', ...report, warning: `Certificate expires in ${daysLeft} days` };
+    return { status: 'ok', ...report };
+}
+
+// 'ok' when every component is
+function overallStatus(components) {
+    return Object.values(components).every(component => component.status === 'ok') ? 'ok' : 'degraded';
+}
+
+module.exports = {
+    checkDatabase,
+    checkListener,
+    checkWebSocketServer,
+    checkLeaderJob,
+    certificateExpiry,
+    checkCertificate,
+    overallStatus
+};
@@ -0,0 +1,113 @@
+/**
+ * Launcher version policy
+ * - Below the minimum version a launcher must upgrade; with `rejectOutdated` it can't
+ *   connect at all. Below the recommended version it is told an update is available.
+ * - Versions compare numerically part by part ("1.10.0" is newer than "1.9.2"), and a
+ *   pre-release ("2.0.0-beta.1") is older than its release. A leading "v" and build
+ *   metadata ("+abc") are ignored. Versions that don't parse (or are missing) are only
+ *   flagged with `rejectOutdated`: then they count as below the minimum.
+ */
+
+const VERSION = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+    const match = typeof version === 'string' ? VERSION.exec(version.trim()) : null;
+    if (!match) return null;
+
+    return {
+        parts: match[1].split('.').map(Number),
+        prerelease: match[2] ? match[2].split('.') : []
+    };
+}
+
+// Pre-release identifiers compare like semver: numbers numerically and below words
+function comparePrerelease(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === undefined) return -1;
+        if (b[i] === undefined) return 1;
+        if (a[i] === b[i]) continue;
+
+        const numeric = [a[i], b[i]].map(id => /^\d+$/.test(id));
+        if (numeric[0] && numeric[1]) return Math.sign(Number(a[i]) - Number(b[i]));
+        if (numeric[0] !== numeric[1]) return numeric[0] ? -1 : 1;
+        return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// -1, 0 or 1 like a sort comparator; null when either version doesn't parse
+function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    if (!left || !right) return null;
+
+    for (let i = 0; i < Math.max(left.parts.length, right.parts.length); i++) {
+        const diff = (left.parts[i] || 0) - (right.parts[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+
+    // A release is newer than any of its pre-releases
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+        return Math.sign(right.prerelease.length - left.prerelease.length);
+    }
+    return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+class LauncherPolicy {
+    // options: { minVersion, recommendedVersion, rejectOutdated, updateUrl }
+    constructor({ minVersion = null, recommendedVersion = null, rejectOutdated = false, updateUrl = null } = {}) {
+        [['minimum', minVersion], ['recommended', recommendedVersion]].forEach(([name, version]) => {
+            if (version && !parseVersion(version)) {
+                throw new Error(`Invalid ${name} launcher version: ${version}`);
+            }
+        });
+
+        this.minVersion = minVersion || null;
+        this.recommendedVersion = recommendedVersion || null;
+        this.rejectOutdated = rejectOutdated;
+        this.updateUrl = updateUrl || null;
+    }
+
+    // 'required' below the minimum, 'available' below the recommended version, else null
+    updateFor(version) {
+        if (this.minVersion && this.rejectOutdated && !parseVersion(version)) return 'required';
+        if (this.minVersion && compareVersions(version, this.minVersion) < 0) return 'required';
+        if (this.recommendedVersion && compareVersions(version, this.recommendedVersion) < 0) return 'available';
+        return null;
+    }
+
+    // What an outdated launcher is told, or null when it is up to date
+    noticeFor(version) {
+        const update = this.updateFor(version);
+        if (!update) return null;
+
+        return {
+            update,
+            currentVersion: version || null,
+            minVersion: this.minVersion,
+            recommendedVersion: this.recommendedVersion,
+            updateUrl: this.updateUrl
+        };
+    }
+
+    rejects(version) {
+        return this.rejectOutdated && this.updateFor(version) === 'required';
+    }
+}
+
+// Launcher policy settings from the environment (LAUNCHER_MIN_VERSION,
+// LAUNCHER_RECOMMENDED_VERSION, LAUNCHER_REJECT_OUTDATED, LAUNCHER_UPDATE_URL)
+function launcherPolicyFromEnv(env = process.env) {
+    return {
+        minVersion: env.LAUNCHER_MIN_VERSION || null,
+        recommendedVersion: env.LAUNCHER_RECOMMENDED_VERSION || null,
+        rejectOutdated: (env.LAUNCHER_REJECT_OUTDATED || 'false').toLowerCase() === 'true',
+        updateUrl: env.LAUNCHER_UPDATE_URL || null
+    };
+}
+
+module.exports = {
+    compareVersions,
+    LauncherPolicy,
+    launcherPolicyFromEnv
+};
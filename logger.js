@@ -0,0 +1,102 @@
+/**
+ * Structured logging
+ * - One JSON object per line: `time`, `level` and `msg`, then the entry's fields.
+ *   debug and info go to stdout, warn and error to stderr.
+ * - LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+ * - Errors are written as { name, message, code, stack }. An Error given in place of the
+ *   fields becomes the `err` field: logger.error('Error doing X', error).
+ * - child(fields) adds fields to every entry, e.g. the request ID of an HTTP request.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function serializeFields(fields) {
+    if (fields instanceof Error) return { err: serializeError(fields) };
+
+    const serialized = {};
+    Object.entries(fields || {}).forEach(([key, value]) => {
+        if (value === undefined) return;
+        serialized[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return serialized;
+}
+
+class Logger {
+    // options: { level, write(level, line) }
+    constructor(fields = {}, { level = 'info', write = null } = {}) {
+        if (!LEVELS[level]) {
+            throw new Error(`Invalid log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+
+        this.fields = fields;
+        this.level = level;
+        this.write = write || ((entryLevel, line) => {
+            (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+        });
+    }
+
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, { level: this.level, write: this.write });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields) {
+        if (!this.enabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.fields,
+            ...serializeFields(fields)
+        };
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            // Circular or otherwise unserializable fields; keep the message at least
+            line = JSON.stringify({ time: entry.time, level, msg, ...this.fields, logError: error.message });
+        }
+        this.write(level, line);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// Shared by every module; server.js adds per-request and per-socket fields with child(),
+// and sets the level from its configuration (where an invalid LOG_LEVEL is reported)
+const envLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const logger = new Logger({}, { level: LEVELS[envLevel] ? envLevel : 'info' });
+
+module.exports = {
+    LOG_LEVELS: Object.keys(LEVELS),
+    Logger,
+    logger
+};
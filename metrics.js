@@ -0,0 +1,248 @@
+/**
+ * Prometheus metrics
+ * - Counters, gauges and histograms with labels, served by Registry#render in the
+ *   Prometheus text format (version 0.0.4).
+ * - Label values are given as an object; labels left out are empty.
+ * - A gauge can take a `collect` function that sets its values on every scrape, for values
+ *   that are cheaper to read than to track (open sockets, players online).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; from a fast query up to a slow webhook or long database transaction
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label values key -> { labels, ... }
+    }
+
+    // The series for these labels, created the first time
+    seriesFor(labels) {
+        const values = this.labelNames.map(labelName => (labels[labelName] === undefined ? '' : String(labels[labelName])));
+        const key = JSON.stringify(values);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: values, ...this.newSeries() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    formatLabels(values, extra = []) {
+        const pairs = this.labelNames
+            .map((labelName, i) => [labelName, values[i]])
+            .concat(extra)
+            .map(([labelName, value]) => `${labelName}="${escapeLabelValue(value)}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    // A metric without labels has one series, exported as 0 until it changes
+    initSeries() {
+        if (this.labelNames.length === 0) this.seriesFor({});
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+        this.initSeries();
+    }
+
+    newSeries() {
+        return { value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...[...this.series.values()].map(series => `${this.name}${this.formatLabels(series.labels)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+class Gauge extends Metric {
+    // collect(gauge) may be async; it runs before every render
+    constructor({ collect = null, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+        this.initSeries();
+    }
+
+    newSeries() {
+        return { value: 0 };
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...[...this.series.values()].map(series => `${this.name}${this.formatLabels(series.labels)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.initSeries();
+    }
+
+    newSeries() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    // Returns a function that observes the seconds elapsed since this call. Labels given
+    // to it are added to these (e.g. a status only known at the end).
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach((series) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${this.formatLabels(series.labels, [['le', formatValue(bound)]])} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${this.formatLabels(series.labels, [['le', '+Inf']])} ${series.count}`);
+            lines.push(`${this.name}_sum${this.formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    // Every metric in the text format. A failing collect function leaves its gauge with
+    // the values of the last scrape.
+    async render() {
+        const metrics = [...this.metrics.values()];
+        const failures = [];
+
+        await Promise.all(metrics.filter(metric => metric.collect).map(async (metric) => {
+            try {
+                await metric.collect(metric);
+            } catch (error) {
+                failures.push({ metric: metric.name, error });
+            }
+        }));
+
+        const text = `${metrics.map(metric => metric.render().join('\n')).join('\n')}\n`;
+        return { text, failures };
+    }
+}
+
+// Time every async method of `target` (own and inherited, up to Object) in `histogram`,
+// labelled by method name. Calls that reject also count in `errors`.
+function instrumentAsyncMethods(target, histogram, errors) {
+    const names = new Set();
+    for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        Object.getOwnPropertyNames(proto).forEach((name) => {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (typeof descriptor.value === 'function' && descriptor.value.constructor.name === 'AsyncFunction') {
+                names.add(name);
+            }
+        });
+    }
+
+    names.forEach((method) => {
+        const original = target[method];
+        target[method] = async function instrumented(...args) {
+            const end = histogram.startTimer({ method });
+            try {
+                return await original.apply(this, args);
+            } catch (error) {
+                errors.inc({ method });
+                throw error;
+            } finally {
+                end();
+            }
+        };
+    });
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    Registry,
+    instrumentAsyncMethods
+};
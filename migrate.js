@@ -0,0 +1,53 @@
+/**
+ * Schema migration CLI
+ * Uses the same STORAGE_BACKEND / DB_PATH / DATABASE_URL settings as the server (see config.js).
+ *
+ *   node migrate.js status   show applied and pending migrations
+ *   node migrate.js up       apply pending migrations
+ */
+
+require('dotenv').config();
+
+const { loadConfig } = require('./config');
+const { createDriver } = require('./storage');
+const { getStatus, migrate } = require('./migrations');
+
+async function main(command = 'status') {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const driver = createDriver(config.storage);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(driver);
+            console.log(applied.length > 0
+                ? `Migrated to version ${applied[applied.length - 1].version}`
+                : 'Already up to date');
+        } else if (command === 'status') {
+            const status = await getStatus(driver);
+            console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+            status.applied.forEach(row => console.log(`  applied  ${row.version}: ${row.name} (${row.applied_at})`));
+            status.pending.forEach(migration => console.log(`  pending  ${migration.version}: ${migration.name}`));
+            if (status.current > status.latest) {
+                console.log('The database is newer than this code; upgrade the server.');
+                process.exitCode = 1;
+            }
+        } else {
+            console.error(`Unknown command: ${command} (expected status or up)`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await driver.close();
+    }
+}
+
+main(process.argv[2]);
@@ -0,0 +1,196 @@
+/**
+ * 001: every table as of the first versioned release.
+ * Databases created before versioning already have some of these tables, so everything
+ * is IF NOT EXISTS and sessions tables from older releases get their missing columns.
+ */
+
+const { logger } = require('../logger');
+
+module.exports = {
+    async up(db) {
+        const { id, timestamp, now } = db.dialect;
+
+        // Players table (one row per identity: Minecraft UUID, or username for offline accounts)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS players (
+                id ${id},
+                player_key TEXT UNIQUE NOT NULL,
+                uuid TEXT,
+                username TEXT NOT NULL,
+                first_seen ${timestamp} DEFAULT ${now},
+                last_seen ${timestamp} DEFAULT ${now},
+                total_playtime BIGINT DEFAULT 0,
+                launcher_version TEXT
+            )
+        `);
+
+        // Username history per player
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS player_names (
+                id ${id},
+                player_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                first_seen ${timestamp} DEFAULT ${now},
+                last_seen ${timestamp} DEFAULT ${now},
+                UNIQUE(player_id, username),
+                FOREIGN KEY (player_id) REFERENCES players(id)
+            )
+        `);
+
+        // Sessions table (current active sessions)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id ${id},
+                session_id TEXT UNIQUE NOT NULL,
+                player_id INTEGER,
+                username TEXT NOT NULL,
+                status TEXT DEFAULT 'online',
+                minecraft_version TEXT,
+                world_name TEXT,
+                server_address TEXT,
+                game_mode TEXT DEFAULT 'idle',
+                connected_at ${timestamp} DEFAULT ${now},
+                last_update ${timestamp} DEFAULT ${now},
+                privacy_show_username INTEGER DEFAULT 1,
+                privacy_show_version INTEGER DEFAULT 1,
+                privacy_show_world INTEGER DEFAULT 1,
+                privacy_show_server INTEGER DEFAULT 1,
+                token_hash TEXT,
+                ip_address TEXT,
+                FOREIGN KEY (player_id) REFERENCES players(id)
+            )
+        `);
+
+        // Databases created before versioning may lack newer session columns
+        const sessionColumns = await db.columns('sessions');
+        if (!sessionColumns.includes('game_mode')) {
+            await db.exec(`ALTER TABLE sessions ADD COLUMN game_mode TEXT DEFAULT 'idle'`);
+            logger.info('Added game_mode column to sessions table');
+        }
+
+        // Add token_hash column if it doesn't exist (for existing databases)
+        if (!sessionColumns.includes('token_hash')) {
+            await db.exec(`ALTER TABLE sessions ADD COLUMN token_hash TEXT`);
+            logger.info('Added token_hash column to sessions table');
+        }
+        await db.exec(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_token_hash
+            ON sessions (token_hash)
+        `);
+
+        // Add ip_address column if it doesn't exist (for existing databases)
+        if (!sessionColumns.includes('ip_address')) {
+            await db.exec(`ALTER TABLE sessions ADD COLUMN ip_address TEXT`);
+            logger.info('Added ip_address column to sessions table');
+        }
+
+        // Launcher versions each player has connected with
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS player_launcher_versions (
+                id ${id},
+                player_id INTEGER NOT NULL,
+                launcher_version TEXT NOT NULL,
+                first_seen ${timestamp} DEFAULT ${now},
+                last_seen ${timestamp} DEFAULT ${now},
+                UNIQUE(player_id, launcher_version),
+                FOREIGN KEY (player_id) REFERENCES players(id)
+            )
+        `);
+
+        // Session history (finished sessions, archived by endSession)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS session_history (
+                id ${id},
+                session_id TEXT UNIQUE NOT NULL,
+                player_id INTEGER,
+                username TEXT NOT NULL,
+                minecraft_version TEXT,
+                world_name TEXT,
+                server_address TEXT,
+                game_mode TEXT,
+                connected_at ${timestamp},
+                ended_at ${timestamp} DEFAULT ${now},
+                duration INTEGER DEFAULT 0,
+                privacy_show_username INTEGER DEFAULT 1,
+                privacy_show_version INTEGER DEFAULT 1,
+                privacy_show_world INTEGER DEFAULT 1,
+                privacy_show_server INTEGER DEFAULT 1,
+                FOREIGN KEY (player_id) REFERENCES players(id)
+            )
+        `);
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_session_history_player
+            ON session_history (player_id, connected_at)
+        `);
+
+        // Statistics table
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS statistics (
+                id ${id},
+                metric TEXT UNIQUE NOT NULL,
+                value BIGINT DEFAULT 0,
+                updated_at ${timestamp} DEFAULT ${now}
+            )
+        `);
+
+        // Hourly and daily statistics rollups (filled by recordStatsSample)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS stats_rollups (
+                bucket TEXT NOT NULL,
+                bucket_start ${timestamp} NOT NULL,
+                samples INTEGER DEFAULT 0,
+                online_sum INTEGER DEFAULT 0,
+                online_peak INTEGER DEFAULT 0,
+                launches INTEGER DEFAULT 0,
+                unique_players INTEGER DEFAULT 0,
+                playtime BIGINT DEFAULT 0,
+                PRIMARY KEY (bucket, bucket_start)
+            )
+        `);
+
+        // Version/game mode distribution per rollup bucket, counted in player-samples
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS stats_distribution (
+                bucket TEXT NOT NULL,
+                bucket_start ${timestamp} NOT NULL,
+                dimension TEXT NOT NULL,
+                value TEXT NOT NULL,
+                samples INTEGER DEFAULT 0,
+                PRIMARY KEY (bucket, bucket_start, dimension, value)
+            )
+        `);
+
+        // Bans (checked when a player connects)
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS bans (
+                id ${id},
+                type TEXT NOT NULL,
+                value TEXT NOT NULL,
+                reason TEXT,
+                created_at ${timestamp} DEFAULT ${now},
+                expires_at ${timestamp},
+                UNIQUE(type, value)
+            )
+        `);
+
+        // Admin audit log
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_audit_log (
+                id ${id},
+                action TEXT NOT NULL,
+                target TEXT,
+                details TEXT,
+                ip_address TEXT,
+                created_at ${timestamp} DEFAULT ${now}
+            )
+        `);
+
+        // Initialize statistics
+        for (const metric of ['total_launches', 'total_users', 'total_playtime']) {
+            await db.run(
+                `INSERT INTO statistics (metric, value) VALUES (?, 0) ON CONFLICT (metric) DO NOTHING`,
+                [metric]
+            );
+        }
+    }
+};
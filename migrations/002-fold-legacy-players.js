@@ -0,0 +1,126 @@
+/**
+ * 002: older releases created one players row per session. Fold those rows into one
+ * row per identity (Minecraft UUID, or username for offline accounts), keeping each
+ * name as username history. Nothing to do for databases created after that change.
+ */
+
+const { logger } = require('../logger');
+
+// Frozen copies of the identity rules as of this migration
+function normalizeUuid(uuid) {
+    if (!uuid) return null;
+    const compact = String(uuid).trim().toLowerCase().replace(/-/g, '');
+    if (!/^[0-9a-f]{32}$/.test(compact)) {
+        return String(uuid).trim().toLowerCase();
+    }
+    return `${compact.slice(0, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}-${compact.slice(16, 20)}-${compact.slice(20)}`;
+}
+
+function playerKeyFor(username, uuid) {
+    const normalized = normalizeUuid(uuid);
+    return normalized || `offline:${String(username).trim().toLowerCase()}`;
+}
+
+module.exports = {
+    async up(db) {
+        const columns = await db.columns('players');
+        if (!columns.includes('session_id')) return;
+
+        const { id, timestamp, now } = db.dialect;
+
+        const legacyPlayers = await db.all(`SELECT * FROM players ORDER BY last_seen ASC, id ASC`);
+        const identities = new Map();
+
+        for (const row of legacyPlayers) {
+            const key = playerKeyFor(row.username, row.uuid);
+            let identity = identities.get(key);
+            if (!identity) {
+                identity = {
+                    key,
+                    uuid: normalizeUuid(row.uuid),
+                    username: row.username,
+                    firstSeen: row.first_seen,
+                    lastSeen: row.last_seen,
+                    totalPlaytime: 0,
+                    launcherVersion: null,
+                    legacyIds: [],
+                    names: new Map()
+                };
+                identities.set(key, identity);
+            }
+
+            // Rows are ordered by last_seen, so later rows carry the current name and version
+            identity.username = row.username;
+            identity.launcherVersion = row.launcher_version || identity.launcherVersion;
+            identity.totalPlaytime += row.total_playtime || 0;
+            if (row.first_seen < identity.firstSeen) identity.firstSeen = row.first_seen;
+            if (row.last_seen > identity.lastSeen) identity.lastSeen = row.last_seen;
+            identity.legacyIds.push(row.id);
+
+            const name = identity.names.get(row.username);
+            if (!name) {
+                identity.names.set(row.username, { firstSeen: row.first_seen, lastSeen: row.last_seen });
+            } else {
+                if (row.first_seen < name.firstSeen) name.firstSeen = row.first_seen;
+                if (row.last_seen > name.lastSeen) name.lastSeen = row.last_seen;
+            }
+        }
+
+        await db.exec(`
+            CREATE TABLE players_migrated (
+                id ${id},
+                player_key TEXT UNIQUE NOT NULL,
+                uuid TEXT,
+                username TEXT NOT NULL,
+                first_seen ${timestamp} DEFAULT ${now},
+                last_seen ${timestamp} DEFAULT ${now},
+                total_playtime BIGINT DEFAULT 0,
+                launcher_version TEXT
+            )
+        `);
+
+        for (const identity of identities.values()) {
+            const playerId = await db.insert(
+                `INSERT INTO players_migrated (
+                    player_key, uuid, username, first_seen, last_seen, total_playtime, launcher_version
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    identity.key,
+                    identity.uuid,
+                    identity.username,
+                    identity.firstSeen,
+                    identity.lastSeen,
+                    identity.totalPlaytime,
+                    identity.launcherVersion
+                ]
+            );
+
+            for (const [username, seen] of identity.names) {
+                await db.run(
+                    `INSERT INTO player_names (player_id, username, first_seen, last_seen)
+                    VALUES (?, ?, ?, ?)`,
+                    [playerId, username, seen.firstSeen, seen.lastSeen]
+                );
+            }
+
+            const placeholders = identity.legacyIds.map(() => '?').join(', ');
+            await db.run(
+                `UPDATE sessions SET player_id = ? WHERE player_id IN (${placeholders})`,
+                [playerId, ...identity.legacyIds]
+            );
+        }
+
+        await db.exec(`
+            DROP TABLE players;
+            ALTER TABLE players_migrated RENAME TO players;
+        `);
+
+        await db.run(
+            `UPDATE statistics
+            SET value = (SELECT COUNT(*) FROM players), updated_at = ${now}
+            WHERE metric = 'total_users'`
+        );
+
+        logger.info('Migrated legacy player rows', { rows: legacyPlayers.length, players: identities.size });
+    }
+};
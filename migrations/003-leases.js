@@ -0,0 +1,17 @@
+/**
+ * 003: leases, so jobs that must run once per cluster have a single leader instance.
+ */
+
+module.exports = {
+    async up(db) {
+        const { timestamp } = db.dialect;
+
+        await db.exec(`
+            CREATE TABLE leases (
+                name TEXT PRIMARY KEY,
+                holder TEXT NOT NULL,
+                expires_at ${timestamp} NOT NULL
+            )
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * 004: friends. One row per direction between two players:
+ * - 'requested': player_id asked other_id to be friends
+ * - 'friends':   written for both directions once the request is accepted
+ * - 'blocked':   player_id blocked other_id (the other direction may hold its own block)
+ * Session privacy flags gain a third value, 2 = visible to friends only.
+ */
+
+module.exports = {
+    async up(db) {
+        const { timestamp, now } = db.dialect;
+
+        await db.exec(`
+            CREATE TABLE friendships (
+                player_id INTEGER NOT NULL,
+                other_id INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                created_at ${timestamp} DEFAULT ${now},
+                PRIMARY KEY (player_id, other_id),
+                FOREIGN KEY (player_id) REFERENCES players(id),
+                FOREIGN KEY (other_id) REFERENCES players(id)
+            )
+        `);
+        await db.exec(`CREATE INDEX idx_friendships_other ON friendships(other_id)`);
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * 005: players.anonymized_at, set when a player's data is erased (on request or by the
+ * retention purge). The row itself stays so aggregate statistics keep their counts.
+ */
+
+module.exports = {
+    async up(db) {
+        const { timestamp } = db.dialect;
+
+        await db.exec(`ALTER TABLE players ADD COLUMN anonymized_at ${timestamp}`);
+        await db.exec(`CREATE INDEX idx_players_last_seen ON players(last_seen)`);
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * 006: server_stats, the most players seen on each multiplayer server at once.
+ * Addresses are normalized "host:port"; only sessions that share their server count.
+ */
+
+module.exports = {
+    async up(db) {
+        const { timestamp, now } = db.dialect;
+
+        await db.exec(`
+            CREATE TABLE server_stats (
+                address TEXT PRIMARY KEY,
+                peak_players INTEGER NOT NULL,
+                peak_at ${timestamp} NOT NULL,
+                first_seen ${timestamp} DEFAULT ${now},
+                last_seen ${timestamp} DEFAULT ${now}
+            )
+        `);
+    }
+};
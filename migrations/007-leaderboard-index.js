@@ -0,0 +1,9 @@
+/**
+ * 007: index for the weekly and monthly leaderboards, which scan sessions by end time.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`CREATE INDEX idx_session_history_ended ON session_history(ended_at)`);
+    }
+};
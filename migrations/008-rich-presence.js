@@ -0,0 +1,13 @@
+/**
+ * 008: rich presence. sessions.presence holds the launcher's extra activity fields as JSON
+ * (modpack, loader, dimension, party, ...); two privacy settings cover the new fields.
+ * Presence is live only and is not archived in session_history.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`ALTER TABLE sessions ADD COLUMN presence TEXT`);
+        await db.exec(`ALTER TABLE sessions ADD COLUMN privacy_show_modpack INTEGER DEFAULT 1`);
+        await db.exec(`ALTER TABLE sessions ADD COLUMN privacy_show_party INTEGER DEFAULT 1`);
+    }
+};
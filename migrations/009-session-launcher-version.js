@@ -0,0 +1,11 @@
+/**
+ * 009: the launcher version each session connected with, kept in session_history too so
+ * the launcher version distribution covers finished sessions.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`ALTER TABLE sessions ADD COLUMN launcher_version TEXT`);
+        await db.exec(`ALTER TABLE session_history ADD COLUMN launcher_version TEXT`);
+    }
+};
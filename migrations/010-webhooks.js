@@ -0,0 +1,52 @@
+/**
+ * 010: outbound webhooks and their delivery log.
+ * - webhooks.events is a JSON list of the event types the webhook receives.
+ * - webhooks.failure_count counts consecutive failed deliveries; the webhook is disabled
+ *   once it reaches the limit (see webhooks.js).
+ * - webhook_deliveries.status is 'pending' (queued or waiting for a retry), 'delivered'
+ *   or 'failed'.
+ * - webhook_deliveries.player_id is the player the event is about, so erasing a player can
+ *   scrub their deliveries from the log and exports can include them.
+ */
+
+module.exports = {
+    async up(db) {
+        const { id, timestamp, now } = db.dialect;
+
+        await db.exec(`
+            CREATE TABLE webhooks (
+                id ${id},
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                events TEXT NOT NULL,
+                description TEXT,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                failure_count INTEGER NOT NULL DEFAULT 0,
+                disabled_at ${timestamp},
+                created_at ${timestamp} DEFAULT ${now},
+                updated_at ${timestamp} DEFAULT ${now}
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE webhook_deliveries (
+                id ${id},
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                player_id INTEGER,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at ${timestamp} DEFAULT ${now},
+                response_status INTEGER,
+                error TEXT,
+                created_at ${timestamp} DEFAULT ${now},
+                completed_at ${timestamp},
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+            )
+        `);
+        await db.exec(`CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+        await db.exec(`CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)`);
+        await db.exec(`CREATE INDEX idx_webhook_deliveries_player ON webhook_deliveries(player_id)`);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * 011: the party (and its join secret) is shared with friends only unless the player
+ * chooses otherwise; 008 shared it with everyone. Live sessions can't tell a chosen
+ * "everyone" from the old default, so they move to friends only as well.
+ * SQLite can't change a column default; createSession always sets the column anyway.
+ */
+
+module.exports = {
+    async up(db) {
+        if (db.name === 'postgres') {
+            await db.exec(`ALTER TABLE sessions ALTER COLUMN privacy_show_party SET DEFAULT 2`);
+        }
+        await db.exec(`UPDATE sessions SET privacy_show_party = 2 WHERE privacy_show_party = 1`);
+    }
+};
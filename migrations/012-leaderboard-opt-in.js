@@ -0,0 +1,12 @@
+/**
+ * 012: leaderboards are opt-in. privacy_show_leaderboard is set by the showOnLeaderboard
+ * privacy setting and archived with the session; players are listed only when their most
+ * recent session has it on. Existing sessions start opted out.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`ALTER TABLE sessions ADD COLUMN privacy_show_leaderboard INTEGER DEFAULT 0`);
+        await db.exec(`ALTER TABLE session_history ADD COLUMN privacy_show_leaderboard INTEGER DEFAULT 0`);
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * 013: a player secret proves a connection is the player whose UUID (or name) it claims.
+ * players.secret_hash is the SHA-256 of the secret issued on the player's first connect;
+ * sessions.verified marks sessions that presented it. Only verified sessions see friends'
+ * presence or use the friends API. Existing players get their secret on their next connect.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`ALTER TABLE players ADD COLUMN secret_hash TEXT`);
+        await db.exec(`ALTER TABLE sessions ADD COLUMN verified INTEGER DEFAULT 0`);
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * Schema migrations
+ * - Migrations live next to this file as NNN-description.js and export `up(db)`, where
+ *   `db` is a storage driver (see storage.js). They only ever move forward.
+ * - `schema_version` records every applied migration; the schema version is the highest.
+ * - Each migration runs in its own transaction together with its schema_version row.
+ * - A database at a newer version than the code knows is refused rather than touched.
+ * - `node migrate.js status|up` runs these from the command line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('../logger');
+
+const MIGRATIONS_DIR = __dirname;
+
+class SchemaVersionError extends Error {
+    constructor(current, latest) {
+        super(`Database schema version ${current} is newer than this server supports (${latest}); upgrade the server before using this database`);
+        this.name = 'SchemaVersionError';
+        this.current = current;
+        this.latest = latest;
+    }
+}
+
+// Ordered list of { version, name, up }; numbering must start at 1 and have no gaps
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => /^(\d+)-(.+)\.js$/.exec(file))
+        .filter(Boolean)
+        .map(([file, number, name]) => ({
+            version: parseInt(number, 10),
+            name,
+            up: require(path.join(dir, file)).up
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migrations must be numbered 1, 2, 3, ...; expected ${index + 1} but found ${migration.version}-${migration.name}`);
+        }
+    });
+
+    return migrations;
+}
+
+async function ensureVersionTable(db) {
+    const { timestamp, now } = db.dialect;
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at ${timestamp} DEFAULT ${now}
+        )
+    `);
+}
+
+async function currentVersion(db) {
+    const row = await db.get(`SELECT MAX(version) as version FROM schema_version`);
+    return row && row.version ? row.version : 0;
+}
+
+async function getStatus(driver, migrations = loadMigrations()) {
+    await ensureVersionTable(driver);
+
+    const applied = await driver.all(`SELECT version, name, applied_at FROM schema_version ORDER BY version ASC`);
+    const current = await currentVersion(driver);
+
+    return {
+        current,
+        latest: migrations.length,
+        applied,
+        pending: migrations.filter(migration => migration.version > current)
+    };
+}
+
+// Bring the schema up to date; resolves to the migrations that were applied
+async function migrate(driver, migrations = loadMigrations()) {
+    try {
+        const status = await getStatus(driver, migrations);
+        if (status.current > status.latest) {
+            throw new SchemaVersionError(status.current, status.latest);
+        }
+
+        const applied = [];
+        for (const migration of status.pending) {
+            const ran = await driver.transaction(async (tx) => {
+                // Another instance may be migrating the same database: wait for it, then re-check
+                if (tx.dialect.lockTable) {
+                    await tx.exec(tx.dialect.lockTable('schema_version'));
+                }
+                if (await currentVersion(tx) >= migration.version) return false;
+
+                await migration.up(tx);
+                await tx.run(
+                    `INSERT INTO schema_version (version, name) VALUES (?, ?)`,
+                    [migration.version, migration.name]
+                );
+                return true;
+            });
+
+            if (ran) {
+                logger.info('Applied migration', { version: migration.version, name: migration.name });
+                applied.push(migration);
+            }
+        }
+
+        return applied;
+    } catch (error) {
+        logger.error('Error migrating database', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    SchemaVersionError,
+    loadMigrations,
+    getStatus,
+    migrate
+};
@@ -0,0 +1,225 @@
+/**
+ * Rate limiting
+ * - Named policies allow `max` requests per `window`, counted per key. Routes and
+ *   WebSocket messages name the policy they count against, so a status update costs the
+ *   same over REST as over the socket.
+ * - A policy's key is the first available of its key types: `session` (the caller's
+ *   session), `player` (all of a player's sessions), `ip` (the client address; see
+ *   TRUST_PROXY) and `connection` (one WebSocket). A request with none of them isn't
+ *   counted against that policy.
+ * - HTTP responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ *   RateLimit-Policy headers; a limited request gets 429 with Retry-After.
+ * - Counts are kept in memory, per instance.
+ * - Settings come from the JSON file at RATE_LIMIT_CONFIG, then RATE_LIMIT_<POLICY>
+ *   ("120/1m", or "off") and TRUST_PROXY from the environment.
+ */
+
+const fs = require('fs');
+const rateLimit = require('express-rate-limit');
+
+const { MemoryStore } = rateLimit;
+
+const KEY_TYPES = ['session', 'player', 'ip', 'connection'];
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const POLICY_DEFAULTS = {
+    // Flood protection for all of /api. Generous, since a LAN party shares one address.
+    api: { max: 1000, window: '1m', key: ['ip'] },
+    connect: { max: 30, window: '1m', key: ['ip'] },
+    heartbeat: { max: 10, window: '1m', key: ['session'] },
+    // Status and privacy updates, and disconnecting
+    status: { max: 60, window: '1m', key: ['session'] },
+    // Data export and deletion
+    account: { max: 10, window: '1m', key: ['player'] },
+    friends: { max: 60, window: '1m', key: ['player'] },
+    // Public reads; callers with a session token count per session instead of per address
+    read: { max: 300, window: '1m', key: ['session', 'ip'] },
+    admin: { max: 120, window: '1m', key: ['ip'] },
+    // Every message on one WebSocket, on top of the policy of the message's action
+    websocket: { max: 120, window: '1m', key: ['connection'] }
+};
+
+// "30s", "1m", "15m", "1h" -> milliseconds
+function parseWindow(window) {
+    const match = /^(\d+)?\s*(s|m|h)$/.exec(String(window).trim());
+    if (!match || match[1] === '0') return null;
+    return (match[1] ? parseInt(match[1], 10) : 1) * WINDOW_UNITS[match[2]];
+}
+
+// "120/1m" or "off" -> { max, window }, { max: 0 }, or null when it doesn't parse
+function parseLimit(value) {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'off') return { max: 0 };
+
+    const match = /^(\d+)\s*\/\s*(\w+)$/.exec(text);
+    if (!match || !parseWindow(match[2])) return null;
+    return { max: parseInt(match[1], 10), window: match[2] };
+}
+
+// TRUST_PROXY as Express's "trust proxy" setting: a hop count, true/false, or a
+// comma-separated list of addresses, subnets and the names loopback/linklocal/uniquelocal
+function parseTrustProxy(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (typeof value !== 'string') return value;
+
+    const text = value.trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    if (text.toLowerCase() === 'true') return true;
+    if (text.toLowerCase() === 'false') return false;
+    return text;
+}
+
+// Defaults, overridden by the config file's `policies`, then by RATE_LIMIT_<POLICY>
+function resolvePolicies(filePolicies = {}, env = {}) {
+    Object.keys(filePolicies).forEach((name) => {
+        if (!POLICY_DEFAULTS[name]) {
+            throw new Error(`Unknown rate limit policy: ${name} (expected ${Object.keys(POLICY_DEFAULTS).join(', ')})`);
+        }
+    });
+
+    const policies = {};
+    Object.entries(POLICY_DEFAULTS).forEach(([name, defaults]) => {
+        const policy = { ...defaults, ...filePolicies[name] };
+
+        const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+        if (env[envName] !== undefined && env[envName] !== '') {
+            const limit = parseLimit(env[envName]);
+            if (!limit) throw new Error(`Invalid ${envName}: ${env[envName]} (expected e.g. "120/1m" or "off")`);
+            Object.assign(policy, limit);
+        }
+
+        if (!Number.isInteger(policy.max) || policy.max < 0) {
+            throw new Error(`Invalid max for rate limit policy ${name}: ${policy.max}`);
+        }
+        policy.windowMs = parseWindow(policy.window);
+        if (!policy.windowMs) {
+            throw new Error(`Invalid window for rate limit policy ${name}: ${policy.window} (expected e.g. "30s", "1m" or "1h")`);
+        }
+        policy.key = [].concat(policy.key);
+        if (policy.key.length === 0 || policy.key.some(type => !KEY_TYPES.includes(type))) {
+            throw new Error(`Invalid key for rate limit policy ${name}: ${policy.key.join(', ')} (expected ${KEY_TYPES.join(', ')})`);
+        }
+        policies[name] = policy;
+    });
+    return policies;
+}
+
+// Rate limit settings from RATE_LIMIT_CONFIG, RATE_LIMIT_<POLICY> and TRUST_PROXY
+function rateLimitConfigFromEnv(env = process.env) {
+    let file = {};
+    if (env.RATE_LIMIT_CONFIG) {
+        try {
+            file = JSON.parse(fs.readFileSync(env.RATE_LIMIT_CONFIG, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read RATE_LIMIT_CONFIG ${env.RATE_LIMIT_CONFIG}: ${error.message}`);
+        }
+    }
+
+    return {
+        policies: resolvePolicies(file.policies, env),
+        trustProxy: parseTrustProxy(env.TRUST_PROXY !== undefined && env.TRUST_PROXY !== '' ? env.TRUST_PROXY : file.trustProxy)
+    };
+}
+
+// The client address the way Express works out req.ip, for the raw requests behind
+// WebSocket upgrades. `trust` is the app's compiled "trust proxy fn" setting.
+function clientAddress(req, trust) {
+    const forwarded = (req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean)
+        .reverse();
+    const addresses = [req.socket.remoteAddress, ...forwarded];
+
+    // Walk back from the socket through trusted proxies to the first untrusted address
+    for (let hop = 0; hop < addresses.length - 1; hop++) {
+        if (!trust(addresses[hop], hop)) return addresses[hop];
+    }
+    return addresses[addresses.length - 1];
+}
+
+class RateLimits {
+    // options: { policies (from rateLimitConfigFromEnv), onLimited(req, name) for each HTTP
+    // request turned away }
+    constructor({ policies, onLimited = () => {} }) {
+        this.policies = policies;
+        this.onLimited = onLimited;
+        this.stores = {};
+        this.middleware = {};
+
+        Object.entries(policies).forEach(([name, policy]) => {
+            if (policy.max === 0) {
+                this.middleware[name] = (req, res, next) => next();
+                return;
+            }
+
+            // The middleware owns the store; WebSocket messages count in it too
+            this.stores[name] = new MemoryStore();
+            this.middleware[name] = rateLimit({
+                windowMs: policy.windowMs,
+                limit: policy.max,
+                store: this.stores[name],
+                standardHeaders: 'draft-6',
+                legacyHeaders: false,
+                skip: req => !this.keyFor(name, RateLimits.requestSource(req)),
+                keyGenerator: req => this.keyFor(name, RateLimits.requestSource(req)),
+                handler: (req, res) => {
+                    this.onLimited(req, name);
+                    res.status(429).json({
+                        error: 'Too many requests',
+                        policy: name,
+                        retryAfter: Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 0)
+                    });
+                }
+            });
+        });
+    }
+
+    // The request fields keys are made of; routes with a session token have run it first
+    static requestSource(req) {
+        return { session: req.sessionId, player: req.playerId, ip: req.ip };
+    }
+
+    // "<type>:<value>" for the policy's first key type the source has, else null
+    keyFor(name, source) {
+        const type = this.policies[name].key.find(keyType => source[keyType] !== undefined && source[keyType] !== null);
+        return type ? `${type}:${source[type]}` : null;
+    }
+
+    // Express middleware for the policy
+    http(name) {
+        if (!this.middleware[name]) throw new Error(`Unknown rate limit policy: ${name}`);
+        return this.middleware[name];
+    }
+
+    // { name: "120/1m" or "off" }, for the startup log
+    summary() {
+        return Object.fromEntries(Object.entries(this.policies).map(([name, policy]) => (
+            [name, policy.max === 0 ? 'off' : `${policy.max}/${policy.window}`]
+        )));
+    }
+
+    // Count one WebSocket message against the policy. Resolves to { limited, hits, limit,
+    // retryAfter } (seconds); never limited when the policy is off or has no key.
+    async consume(name, source) {
+        const policy = this.policies[name];
+        const key = this.keyFor(name, source);
+        if (!this.stores[name] || !key) return { limited: false, hits: 0, limit: policy.max, retryAfter: 0 };
+
+        const { totalHits, resetTime } = await this.stores[name].increment(key);
+        return {
+            limited: totalHits > policy.max,
+            hits: totalHits,
+            limit: policy.max,
+            retryAfter: Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 0)
+        };
+    }
+}
+
+module.exports = {
+    POLICY_DEFAULTS,
+    rateLimitConfigFromEnv,
+    clientAddress,
+    RateLimits
+};
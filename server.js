@@ -8,17 +8,40 @@
  * Required packages:
  *   npm install express cors helmet express-rate-limit ws uuid dotenv selfsigned
  *
- * Environment:
+ * Environment (read and checked by config.js; CONFIG_FILE may hold any of these as JSON):
+ *   CONFIG_FILE path to a JSON object of settings; environment variables take precedence
  *   PORT (http port) default 3000
  *   HTTPS_PORT default 3443
  *   HOST default 0.0.0.0
  *   USE_HTTPS = "true" to enable HTTPS and wss (dev self-signed cert generation)
  *   CERT_DIR default ./certs
+ *   SSL_COMMON_NAME common name of a generated certificate, default localhost
+ *   ALLOWED_ORIGINS comma-separated CORS origins, default *
+ *   ADMIN_API_KEY enables the /api/admin routes (sent as "Authorization: Bearer <key>")
+ *   STORAGE_BACKEND = sqlite (default), memory (SQLite in memory) or postgres
+ *   DB_PATH default ./data/players.db (sqlite)
+ *   DATABASE_URL PostgreSQL connection string (postgres)
+ *   PUBSUB_BACKEND = memory (default) or redis, to share broadcasts between instances
+ *   REDIS_URL e.g. redis://localhost:6379 (redis)
+ *   INSTANCE_ID default random, names this instance in /health and leader leases
+ *   SESSION_TIMEOUT_SECONDS a session without a heartbeat for this long is offline, default 300
+ *   CLEANUP_INTERVAL_SECONDS how often the leader ends timed-out sessions, default 60
+ *   WS_PING_INTERVAL_SECONDS WebSocket ping interval, default 30
+ *   PLAYER_RETENTION_DAYS anonymizes players inactive this long; default 0 keeps them forever
+ *   LAUNCHER_MIN_VERSION / LAUNCHER_RECOMMENDED_VERSION flag outdated launchers (unset by default)
+ *   LAUNCHER_REJECT_OUTDATED = "true" refuses launchers below the minimum version
+ *   LAUNCHER_UPDATE_URL download link sent to outdated launchers
+ *   LOG_LEVEL = debug, info (default), warn or error
+ *   METRICS_TOKEN if set, /metrics requires "Authorization: Bearer <token>"
+ *   TRUST_PROXY proxies allowed to set X-Forwarded-For: a hop count, or addresses/subnets (default none)
+ *   RATE_LIMIT_CONFIG path to a JSON file of rate limit policies (see ratelimit.js)
+ *   RATE_LIMIT_<POLICY> e.g. RATE_LIMIT_HEARTBEAT=10/1m, or "off"
  *   NODE_ENV
  */
 
 require('dotenv').config();
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
@@ -27,206 +50,1465 @@ const https = require('https');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { WebSocketServer } = require('ws');
 const { v4: uuidv4 } = require('uuid');
 
 const selfsigned = require('selfsigned'); // dev cert generator
 const PlayerDatabase = require('./database');
-const db = new PlayerDatabase();
+const { DEFAULT_CHANNEL, parseFilters, createSubscriber, snapshotFor, eventFor } = require('./subscriptions');
+const { schemas, checkObject, checkBanValue, validate, sendValidationError } = require('./validation');
+const { createStorage } = require('./storage');
+const { createBus, LeaderElection } = require('./cluster');
+const { LauncherPolicy } = require('./launcher');
+const { createSecret, WebhookDispatcher } = require('./webhooks');
+const { logger } = require('./logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, Registry, instrumentAsyncMethods } = require('./metrics');
+const {
+    checkDatabase,
+    checkListener,
+    checkWebSocketServer,
+    checkLeaderJob,
+    certificateExpiry,
+    checkCertificate,
+    overallStatus
+} = require('./health');
+const { clientAddress, RateLimits } = require('./ratelimit');
+const { ConfigError, loadConfig } = require('./config');
+
+// Settings from the environment and CONFIG_FILE, all checked before anything starts
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Invalid configuration', error instanceof ConfigError ? { errors: error.errors } : error);
+    process.exit(1);
+}
+logger.level = config.logLevel;
+
+const db = createStorage(config.storage, { sessionTimeoutMs: config.sessions.timeoutMs });
 
 // Config
-const USE_HTTPS = true || (process.env.USE_HTTPS || 'false').toLowerCase() === 'true';
-const HOST = process.env.HOST || '0.0.0.0';
-const HTTP_PORT = parseInt(process.env.PORT || '3000', 10);
-const HTTPS_PORT = parseInt(process.env.HTTPS_PORT || '3443', 10);
-const CERT_DIR = process.env.CERT_DIR || path.join(__dirname, 'certs');
-const PING_INTERVAL_MS = 30000; // ping every 30s
-const PONG_WAIT_MS = 10000; // allow 10s for pong
+const USE_HTTPS = config.server.useHttps;
+const HOST = config.server.host;
+const HTTP_PORT = config.server.httpPort;
+const HTTPS_PORT = config.server.httpsPort;
+const CERT_DIR = config.server.certDir;
+const ADMIN_API_KEY = config.adminApiKey;
+const METRICS_TOKEN = config.metricsToken;
+const PING_INTERVAL_MS = config.websocket.pingIntervalMs; // dead sockets are dropped after one missed pong
+const WS_RATE_LIMIT_CLOSE_FACTOR = 2; // a socket sending twice its 'websocket' rate limit is closed
+const SSE_KEEPALIVE_MS = 25000; // comment line so proxies keep idle event streams open
+const CLEANUP_INTERVAL_MS = config.sessions.cleanupIntervalMs; // stale-session cleanup on the leader
+const CLEANUP_MAX_AGE_MS = 3 * CLEANUP_INTERVAL_MS; // /health/ready fails when cleanup hasn't succeeded for this long
+const READY_DB_TIMEOUT_MS = 2000;
+const CERT_EXPIRY_WARN_DAYS = 14; // /health/ready warns (but stays ready) this close to expiry
+const RECENT_EVENTS_LIMIT = 1000; // broadcasts kept for SSE Last-Event-ID resume
+const STATS_SAMPLE_INTERVAL_MS = 60000; // online count sample for hourly/daily rollups
+const STATS_HISTORY_MAX_POINTS = 1000;
+const PLAYER_RETENTION_DAYS = config.playerRetentionDays;
+const RETENTION_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly check for players past retention
+const INSTANCE_ID = config.instanceId;
+const LEADER_LEASE_MS = 30000; // how long a crashed leader keeps its jobs before another instance takes over
+const PLAYER_EVENTS_CHANNEL = 'purplixi:player-events';
+const FRIEND_EVENTS_CHANNEL = 'purplixi:friend-events';
+const LAUNCHER_VERSIONS_DEFAULT_DAYS = 30;
+const WEBHOOK_POLL_INTERVAL_MS = 5000; // leader checks for queued and retried webhook deliveries
+const WEBHOOK_LOG_DAYS = 7; // finished deliveries kept in the delivery log
+const WEBHOOK_LOG_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Minimum and recommended launcher versions
+const launcherPolicy = new LauncherPolicy(config.launcher);
+
+// Player events reach every instance through the bus; cleanup, sampling and webhook
+// delivery run on the leader only
+const bus = createBus(config.pubsub);
+const leader = new LeaderElection(db, { name: 'maintenance', holder: INSTANCE_ID, ttlMs: LEADER_LEASE_MS });
+
+// Outbound webhooks: queued by every instance, sent by the leader (see webhooks.js)
+const webhookDispatcher = new WebhookDispatcher(db);
+
+// ===== Metrics (served at /metrics) =====
+const metrics = new Registry();
+const wsClients = new Set();
+const sseClients = new Set(); // { subscriber, res } per open event stream
+
+const httpRequests = metrics.counter({
+    name: 'purplixi_http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+    name: 'purplixi_http_request_duration_seconds',
+    help: 'HTTP request duration in seconds by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+metrics.gauge({
+    name: 'purplixi_websocket_clients',
+    help: 'Open WebSocket connections on this instance',
+    collect: gauge => gauge.set({}, wsClients.size)
+});
+metrics.gauge({
+    name: 'purplixi_event_stream_clients',
+    help: 'Open Server-Sent Events streams on this instance',
+    collect: gauge => gauge.set({}, sseClients.size)
+});
+const wsMessagesSent = metrics.counter({
+    name: 'purplixi_websocket_messages_sent_total',
+    help: 'WebSocket messages sent by message type',
+    labelNames: ['type']
+});
+const broadcastDuration = metrics.histogram({
+    name: 'purplixi_broadcast_duration_seconds',
+    help: 'Time to fan a player change out to this instance\'s WebSocket and SSE clients',
+    buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+});
+const dbQueryDuration = metrics.histogram({
+    name: 'purplixi_db_query_duration_seconds',
+    help: 'PlayerDatabase call duration in seconds by method',
+    labelNames: ['method']
+});
+const dbQueryErrors = metrics.counter({
+    name: 'purplixi_db_query_errors_total',
+    help: 'PlayerDatabase calls that failed, by method',
+    labelNames: ['method']
+});
+metrics.gauge({
+    name: 'purplixi_players_online',
+    help: 'Players online across the cluster',
+    collect: async gauge => gauge.set({}, await db.getPlayerCount())
+});
+const staleSessionsCleaned = metrics.counter({
+    name: 'purplixi_stale_sessions_cleaned_total',
+    help: 'Sessions ended by this instance because their heartbeat stopped'
+});
+const rateLimited = metrics.counter({
+    name: 'purplixi_rate_limited_total',
+    help: 'Requests and WebSocket messages turned away by rate limiting, by policy and transport',
+    labelNames: ['policy', 'transport']
+});
+
+instrumentAsyncMethods(db, dbQueryDuration, dbQueryErrors);
 
 // Express app shared by HTTP/HTTPS
 const app = express();
 
+// Rate limit policies (see ratelimit.js). TRUST_PROXY decides which X-Forwarded-For
+// addresses req.ip (and the address WebSocket connections count under) may come from.
+const rateLimitConfig = config.rateLimits;
+app.set('trust proxy', rateLimitConfig.trustProxy);
+const rateLimits = new RateLimits({
+    policies: rateLimitConfig.policies,
+    onLimited: (req, policy) => {
+        rateLimited.inc({ policy, transport: 'http' });
+        req.log.debug('Rate limited', { policy, ip: req.ip, sessionId: req.sessionId });
+    }
+});
+
 // Security & Middleware
 app.use(helmet());
+// ALLOWED_ORIGINS, or any origin with "*"
 app.use(cors({
-    origin: '*',
+    origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
     credentials: true,
-    methods: ['GET','POST','PUT','DELETE','OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id']
 }));
+
+// Request IDs, access log and HTTP metrics. A sane X-Request-Id from a proxy is kept, so
+// its logs and ours line up; otherwise one is generated. Every response echoes it, and
+// req.log adds it to everything logged for the request.
+app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const { method, path: requestPath } = req;
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        // The route pattern, not the path, so labels stay few ("/api/players/:uuid")
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method, route, status: res.statusCode };
+        httpRequests.inc(labels);
+        httpRequestDuration.observe(labels, seconds);
+
+        // Health checks and scrapes would drown out everything else
+        const quiet = route.startsWith('/health') || route === '/metrics';
+        req.log[quiet ? 'debug' : 'info']('Request completed', {
+            method,
+            path: requestPath,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000 * 100) / 100,
+            ip: req.ip
+        });
+    });
+
+    next();
+});
+
 app.use(express.json());
 
-// Rate limiting on /api
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: 'Too many requests from this IP, please try again later.'
+// Flood protection for all of /api; routes add their own policy on top
+app.use('/api/', rateLimits.http('api'));
+
+// Simple health check
+// /health/live and /health/ready are for orchestrators: live says the process responds,
+// ready that it can serve (see health.js).
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        instance: INSTANCE_ID,
+        leader: leader.isLeader,
+        websockets: wsClients.size,
+        eventStreams: sseClients.size
+    });
+});
+
+app.get('/health/live', (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// 503 while any component is degraded, with every component's state either way
+app.get('/health/ready', async (req, res) => {
+    const components = {
+        database: await checkDatabase(db, READY_DB_TIMEOUT_MS),
+        http: checkListener(httpServerInstance, HTTP_PORT),
+        ws: checkWebSocketServer(httpWssInstance, httpServerInstance)
+    };
+    if (USE_HTTPS) {
+        components.https = checkListener(httpsServerInstance, HTTPS_PORT);
+        components.wss = checkWebSocketServer(httpsWssInstance, httpsServerInstance);
+        components.certificate = checkCertificate(certificateExpiresAt, { warnDays: CERT_EXPIRY_WARN_DAYS });
+    }
+    components.cleanup = checkLeaderJob(cleanupJob, { leader: leader.isLeader, maxAgeMs: CLEANUP_MAX_AGE_MS });
+
+    const status = overallStatus(components);
+    if (status !== 'ok') {
+        req.log.warn('Readiness check failed', {
+            components: Object.keys(components).filter(name => components[name].status !== 'ok')
+        });
+    }
+
+    res.status(status === 'ok' ? 200 : 503).json({
+        status,
+        timestamp: new Date().toISOString(),
+        instance: INSTANCE_ID,
+        leader: leader.isLeader,
+        components
+    });
+});
+
+// "Authorization: Bearer <expected>", compared in constant time
+function hasBearerToken(req, expected) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const given = Buffer.from(match ? match[1] : '');
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Prometheus scrape endpoint. Counters and histograms are per instance, so scrape each one.
+app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    try {
+        const { text, failures } = await metrics.render();
+        failures.forEach(({ metric, error }) => req.log.error(`Error collecting ${metric}`, error));
+
+        res.type(METRICS_CONTENT_TYPE).send(text);
+    } catch (error) {
+        req.log.error('Error rendering metrics', error);
+        res.status(500).json({ error: 'Failed to render metrics' });
+    }
+});
+
+// Session token auth for mutating player routes
+// Tokens are issued by /api/player/connect and sent as "Authorization: Bearer <token>".
+// The public session_id is broadcast to everyone, so it is never accepted on its own.
+async function requireSessionToken(req, res, next) {
+    try {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        if (!match) {
+            return res.status(401).json({ error: 'Session token is required' });
+        }
+
+        const session = await db.getSessionByToken(match[1]);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired session token' });
+        }
+
+        if (req.body && req.body.sessionId && req.body.sessionId !== session.session_id) {
+            return res.status(403).json({ error: 'Session token does not match session' });
+        }
+
+        req.sessionId = session.session_id;
+        req.playerId = session.player_id;
+        req.verified = Boolean(session.verified);
+        next();
+    } catch (error) {
+        req.log.error('Error authenticating session', error);
+        res.status(500).json({ error: 'Failed to authenticate session' });
+    }
+}
+
+// Read routes take an optional session token; with one, presence is resolved for that
+// player (their friends' fields shared with friends only become visible)
+function optionalSessionToken(req, res, next) {
+    if (!req.get('Authorization')) return next();
+    return requireSessionToken(req, res, next);
+}
+
+// Friends are only for sessions that proved they are their player with the player secret
+// (see PlayerDatabase#claimPlayer); a claimed UUID alone is no identity
+function requireVerifiedPlayer(req, res, next) {
+    if (!req.verified) {
+        return res.status(403).json({
+            error: 'Identity not verified',
+            message: 'Connect with this player\'s playerSecret to use friends'
+        });
+    }
+    next();
+}
+
+// The viewer presence is resolved for: the session's player with their friends, or null
+// (the public view) for a session that isn't verified
+async function viewerFor(playerId, verified) {
+    return verified ? db.getViewer(playerId) : null;
+}
+
+// ===== Player change broadcasts =====
+// Clients receive one full snapshot ('initial', or on request) and then only deltas.
+// Every delta carries the next sequence number; a client that sees a gap should
+// request a new snapshot. Deltas are idempotent, so re-applying one is harmless.
+// Changes are published on the bus and every instance (this one included) numbers them
+// as they arrive, so sequence numbers are per instance. Snapshots and events carry the
+// unredacted sessions; subscriptions.js turns them into each client's view.
+let broadcastSeq = 0;
+
+async function getPlayersSnapshot() {
+    // Take the sequence number first: deltas racing the query are re-applied, not lost
+    const seq = broadcastSeq;
+    const sessions = await db.getOnlineSessions();
+    return { seq, sessions, count: sessions.length };
+}
+
+// `flags` are internal markers for deliverPlayerEvent (e.g. privacyChanged); clients never see them
+async function broadcastPlayerChange(type, change, sessionId, flags = {}) {
+    const session = await db.getOnlineSession(sessionId);
+    const count = await db.getPlayerCount();
+    if (!session) return;
+
+    await publishPlayerEvent({
+        type,
+        change,
+        session,
+        count,
+        ...flags
+    });
+}
+
+// `ended` is [{ sessionId, playerId }]. playerIds (session id -> player id) is only for
+// webhook deliveries; clients never see it.
+async function broadcastPlayersRemoved(type, ended) {
+    const count = await db.getPlayerCount();
+
+    await publishPlayerEvent({
+        type,
+        change: 'removed',
+        sessionIds: ended.map(session => session.sessionId),
+        playerIds: Object.fromEntries(ended.map(session => [session.sessionId, session.playerId])),
+        count
+    });
+}
+
+async function publishPlayerEvent(event) {
+    try {
+        await bus.publish(PLAYER_EVENTS_CHANNEL, event);
+    } catch (error) {
+        logger.error('Error publishing player event', error);
+    }
+    await queueWebhooks(() => webhookDispatcher.enqueuePlayerEvent(event));
+}
+
+// Webhook deliveries are queued once, on the instance where the event happened, and sent
+// by the leader: right away if that is this instance, else on its next poll
+async function queueWebhooks(enqueue) {
+    try {
+        const queued = await enqueue();
+        if (queued > 0 && leader.isLeader) {
+            webhookDispatcher.deliverDue().catch(error => logger.error('Error delivering webhooks', error));
+        }
+    } catch (error) {
+        logger.error('Error queueing webhook deliveries', error);
+    }
+}
+
+// Bus handler: number the event and hand it to this instance's clients
+function deliverPlayerEvent(event) {
+    // The session may have been ended on another instance; its launcher sockets here
+    // must not end it again on close
+    if (event.change === 'removed') {
+        event.sessionIds.forEach(unbindSessionSockets);
+    }
+
+    // Buffered events for the session take the new settings (and current values), so an
+    // SSE replay can't bring back anything the player has just hidden
+    if (event.privacyChanged) {
+        recentEvents.forEach((buffered) => {
+            if (buffered.session && buffered.session.session_id === event.session.session_id) {
+                buffered.session = event.session;
+            }
+        });
+    }
+
+    broadcastSeq += 1;
+    broadcast({ ...event, seq: broadcastSeq });
+}
+
+// ===== Friend changes =====
+// Who counts as a friend changes what a client may see, so every instance reloads the
+// viewer of the affected players' clients and sends them a fresh snapshot.
+async function publishFriendsChanged(...playerIds) {
+    try {
+        await bus.publish(FRIEND_EVENTS_CHANNEL, { playerIds });
+    } catch (error) {
+        logger.error('Error publishing friend change', error);
+    }
+}
+
+async function deliverFriendEvent({ playerIds }) {
+    const affected = client => client.subscriber.viewer && playerIds.includes(client.subscriber.viewer.playerId);
+    const wsTargets = [...wsClients].filter(affected);
+    const sseTargets = [...sseClients].filter(affected);
+    if (wsTargets.length === 0 && sseTargets.length === 0) return;
+
+    try {
+        for (const client of [...wsTargets, ...sseTargets]) {
+            client.subscriber.viewer = await db.getViewer(client.subscriber.viewer.playerId);
+        }
+        const snapshot = await getPlayersSnapshot();
+
+        wsTargets.forEach((ws) => {
+            sendToClient(ws, { type: 'friends_updated', ...snapshotFor(ws.subscriber, snapshot) });
+        });
+        sseTargets.forEach((client) => {
+            writeStreamEvent(client.res, { type: 'friends_updated', ...snapshotFor(client.subscriber, snapshot) });
+        });
+    } catch (error) {
+        logger.error('Error delivering friend change', error);
+    }
+}
+
+// ===== Player operations (shared by REST routes and the WebSocket protocol) =====
+
+// Resolves to { sessionId, sessionToken, playerId, verified, playerSecret, update }, or
+// { ban } / { outdated } when the player may not connect. `update` is the notice for an
+// outdated launcher, else null. `playerSecret` is only set on a player's first connection
+// (see PlayerDatabase#claimPlayer).
+async function connectPlayer({ username, uuid, launcherVersion, privacy, ipAddress, playerSecret }) {
+    const ban = await db.findActiveBan({ uuid, username, ipAddress });
+    if (ban) {
+        return { ban };
+    }
+    if (launcherPolicy.rejects(launcherVersion)) {
+        return { outdated: launcherPolicy.noticeFor(launcherVersion) };
+    }
+
+    const sessionId = uuidv4();
+    const sessionToken = crypto.randomBytes(32).toString('base64url');
+
+    const claim = await db.createSession(
+        sessionId,
+        { username, uuid, launcherVersion, ipAddress, playerSecret },
+        privacy || {},
+        sessionToken
+    );
+    await broadcastPlayerChange('player_connected', 'added', sessionId);
+
+    return {
+        sessionId,
+        sessionToken,
+        playerId: claim.playerId,
+        verified: claim.verified,
+        playerSecret: claim.playerSecret,
+        update: launcherPolicy.noticeFor(launcherVersion)
+    };
+}
+
+function banMessage(ban) {
+    return {
+        error: 'Banned from connecting',
+        reason: ban.reason,
+        expiresAt: ban.expires_at
+    };
+}
+
+function outdatedMessage(notice) {
+    return {
+        error: 'Launcher update required',
+        ...notice
+    };
+}
+
+async function updatePlayerStatus(sessionId, { status, minecraftVersion, worldName, serverAddress, gameMode, presence }) {
+    await db.updateSession(sessionId, {
+        status,
+        minecraftVersion,
+        worldName,
+        serverAddress,
+        gameMode,
+        presence
+    });
+    await broadcastPlayerChange('player_updated', 'updated', sessionId);
+}
+
+// Changes take effect right away: everyone gets the newly redacted view
+async function updatePlayerPrivacy(sessionId, privacy) {
+    await db.updateSession(sessionId, { privacy });
+    await broadcastPlayerChange('player_updated', 'updated', sessionId, { privacyChanged: true });
+}
+
+// The privacy settings a request sets, or null when it sets none
+function privacyChanges(source) {
+    const privacy = {};
+    PlayerDatabase.PRIVACY_SETTINGS.forEach((setting) => {
+        if (source[setting] !== undefined) privacy[setting] = source[setting];
+    });
+    return Object.keys(privacy).length > 0 ? privacy : null;
+}
+
+// Erase a player's personal data (see PlayerDatabase#anonymizePlayer). Their sessions end
+// and former friends get their updated lists.
+async function erasePlayer(playerId) {
+    const { sessionIds, contactIds } = await db.anonymizePlayer(playerId);
+    if (sessionIds.length > 0) {
+        await broadcastPlayersRemoved('player_disconnected', sessionIds.map(sessionId => ({ sessionId, playerId })));
+    }
+    if (contactIds.length > 0) await publishFriendsChanged(...contactIds);
+}
+
+async function heartbeatPlayer(sessionId) {
+    await db.updateSession(sessionId, {});
+}
+
+async function disconnectPlayer(sessionId) {
+    // Launcher sockets bound to this session must not end it a second time on close
+    unbindSessionSockets(sessionId);
+
+    const playerId = await db.endSession(sessionId);
+    await broadcastPlayersRemoved('player_disconnected', [{ sessionId, playerId }]);
+}
+
+// ===== API ROUTES =====
+// Connect player
+app.post('/api/player/connect', rateLimits.http('connect'), validate(schemas.connect), async (req, res) => {
+    try {
+        const { username, uuid, launcherVersion, privacy, playerSecret } = req.body;
+
+        const { sessionId, sessionToken, verified, playerSecret: issuedSecret, update, ban, outdated } = await connectPlayer({
+            username,
+            uuid,
+            launcherVersion,
+            privacy,
+            playerSecret,
+            ipAddress: req.ip
+        });
+
+        if (ban) {
+            return res.status(403).json(banMessage(ban));
+        }
+        if (outdated) {
+            return res.status(426).json(outdatedMessage(outdated));
+        }
+
+        res.json({
+            success: true,
+            sessionId,
+            sessionToken,
+            verified,
+            ...(issuedSecret ? { playerSecret: issuedSecret } : {}),
+            update,
+            message: 'Player connected successfully'
+        });
+    } catch (error) {
+        req.log.error('Error connecting player', error);
+        res.status(500).json({ error: 'Failed to connect player' });
+    }
+});
+
+// Update player status
+app.post('/api/player/status', requireSessionToken, rateLimits.http('status'), validate(schemas.status), async (req, res) => {
+    try {
+        const { sessionId } = req;
+        const { status, minecraftVersion, worldName, serverAddress, gameMode, presence } = req.body;
+
+        await updatePlayerStatus(sessionId, { status, minecraftVersion, worldName, serverAddress, gameMode, presence });
+
+        res.json({
+            success: true,
+            message: 'Status updated successfully'
+        });
+    } catch (error) {
+        req.log.error('Error updating player status', error);
+        res.status(500).json({ error: 'Failed to update status' });
+    }
+});
+
+// Change privacy settings mid-session
+app.post('/api/player/privacy', requireSessionToken, rateLimits.http('status'), validate(schemas.privacy), async (req, res) => {
+    try {
+        const privacy = privacyChanges(req.body);
+        if (!privacy) {
+            return sendValidationError(res, [{ location: 'body', field: 'body', message: 'must set at least one privacy setting' }]);
+        }
+
+        await updatePlayerPrivacy(req.sessionId, privacy);
+
+        res.json({
+            success: true,
+            message: 'Privacy settings updated'
+        });
+    } catch (error) {
+        req.log.error('Error updating privacy settings', error);
+        res.status(500).json({ error: 'Failed to update privacy settings' });
+    }
+});
+
+// Disconnect player
+app.post('/api/player/disconnect', requireSessionToken, rateLimits.http('status'), validate(schemas.session), async (req, res) => {
+    try {
+        const { sessionId } = req;
+
+        await disconnectPlayer(sessionId);
+
+        res.json({
+            success: true,
+            message: 'Player disconnected successfully'
+        });
+    } catch (error) {
+        req.log.error('Error disconnecting player', error);
+        res.status(500).json({ error: 'Failed to disconnect player' });
+    }
+});
+
+// A session token only proves its holder connected with a UUID or name, not that they
+// own it, so players can export and erase their own session here. Everything stored about
+// a player, and erasing it, goes through the admin routes once their identity is checked.
+app.get('/api/player/me/export', requireSessionToken, rateLimits.http('account'), async (req, res) => {
+    try {
+        const data = await db.exportSessionData(req.sessionId);
+        if (!data) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.attachment('purplixi-session-data.json');
+        res.json({
+            success: true,
+            exportedAt: new Date().toISOString(),
+            scope: 'session',
+            ...data
+        });
+    } catch (error) {
+        req.log.error('Error exporting player data', error);
+        res.status(500).json({ error: 'Failed to export player data' });
+    }
+});
+
+// Ends the caller's session and erases it (see PlayerDatabase#anonymizeSession)
+app.delete('/api/player/me', requireSessionToken, rateLimits.http('account'), async (req, res) => {
+    try {
+        await disconnectPlayer(req.sessionId);
+        await db.anonymizeSession(req.sessionId, req.playerId);
+
+        res.json({
+            success: true,
+            scope: 'session',
+            message: 'Session data deleted'
+        });
+    } catch (error) {
+        req.log.error('Error deleting session data', error);
+        res.status(500).json({ error: 'Failed to delete session data' });
+    }
+});
+
+// Get online players
+app.get('/api/players/online', optionalSessionToken, rateLimits.http('read'), async (req, res) => {
+    try {
+        const viewer = req.playerId ? await viewerFor(req.playerId, req.verified) : null;
+        const players = await db.getOnlinePlayers(viewer);
+        res.json({
+            success: true,
+            count: players.length,
+            players
+        });
+    } catch (error) {
+        req.log.error('Error fetching online players', error);
+        res.status(500).json({ error: 'Failed to fetch players' });
+    }
+});
+
+// Stream player changes as Server-Sent Events (for clients that can't use WebSockets)
+app.get('/api/players/stream', optionalSessionToken, rateLimits.http('read'), async (req, res) => {
+    const { filters, details } = parseFilters(req.query, 'query');
+    if (details) {
+        return sendValidationError(res, details);
+    }
+
+    const client = { subscriber: createSubscriber(filters), res, log: req.log };
+
+    // Registered before the first await. A client can also leave before this handler runs
+    // (e.g. during the token lookup), so it is only added below if still connected.
+    req.on('close', () => {
+        sseClients.delete(client);
+    });
+
+    try {
+        if (req.playerId) client.subscriber.viewer = await viewerFor(req.playerId, req.verified);
+    } catch (err) {
+        req.log.error('Error loading stream viewer', err);
+        return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    try {
+        const snapshot = await getPlayersSnapshot();
+
+        // Everything below runs synchronously, so no broadcast can slip in before the client is added
+        const resumeSeq = parseEventId(req.get('Last-Event-ID'));
+        const missed = resumeSeq === null ? null : eventsSince(resumeSeq);
+
+        if (missed) {
+            // Seed the view as it was at resumeSeq: start from the snapshot and undo, newest
+            // first, the missed events it already reflects. Sessions that connected since then
+            // are replayed as 'added', and ones that left as 'removed'.
+            snapshotFor(client.subscriber, snapshot);
+            const { visible } = client.subscriber;
+            missed.filter(event => event.seq <= snapshot.seq).reverse().forEach(event => {
+                if (event.change === 'removed') event.sessionIds.forEach(id => visible.add(id));
+                else if (event.change === 'added') visible.delete(event.session.session_id);
+            });
+            client.subscriber.lastSeq = resumeSeq;
+            missed.forEach(event => sendToStream(client, event));
+        } else {
+            writeStreamEvent(res, { type: 'initial', ...snapshotFor(client.subscriber, snapshot) });
+            eventsSince(snapshot.seq).forEach(event => sendToStream(client, event));
+        }
+    } catch (err) {
+        req.log.error('Error starting event stream', err);
+        return res.end();
+    }
+
+    if (!req.destroyed) sseClients.add(client);
+});
+
+// Get a player's profile
+app.get('/api/players/:uuid', rateLimits.http('read'), validate(schemas.player), async (req, res) => {
+    try {
+        const profile = await db.getPlayerProfile(req.params.uuid);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json({
+            success: true,
+            player: profile
+        });
+    } catch (error) {
+        req.log.error('Error fetching player profile', error);
+        res.status(500).json({ error: 'Failed to fetch player' });
+    }
+});
+
+// Get a player's past sessions (paginated)
+app.get('/api/players/:uuid/sessions', rateLimits.http('read'), validate(schemas.playerSessions), async (req, res) => {
+    try {
+        const { limit = 20, offset = 0 } = req.query;
+
+        const history = await db.getSessionHistory(req.params.uuid, { limit, offset });
+
+        if (!history) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json({
+            success: true,
+            total: history.total,
+            limit,
+            offset,
+            sessions: history.sessions
+        });
+    } catch (error) {
+        req.log.error('Error fetching session history', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Get statistics
+app.get('/api/stats', rateLimits.http('read'), async (req, res) => {
+    try {
+        const stats = await db.getStatistics();
+        const popularVersions = await db.getPopularVersions(5);
+
+        res.json({
+            success: true,
+            statistics: stats,
+            popularVersions
+        });
+    } catch (error) {
+        req.log.error('Error fetching statistics', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Get statistics over time (hourly or daily rollups)
+app.get('/api/stats/history', rateLimits.http('read'), validate(schemas.statsHistory), async (req, res) => {
+    try {
+        const { metric, bucket = 'hour' } = req.query;
+
+        const bucketMs = PlayerDatabase.STATS_BUCKETS[bucket];
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - (bucket === 'day' ? 30 : 1) * PlayerDatabase.STATS_BUCKETS.day);
+
+        if (from > to) {
+            return sendValidationError(res, [{ location: 'query', field: 'from', message: 'must be before to' }]);
+        }
+        if ((to - from) / bucketMs > STATS_HISTORY_MAX_POINTS) {
+            return sendValidationError(res, [
+                { location: 'query', field: 'from', message: `range must cover at most ${STATS_HISTORY_MAX_POINTS} ${bucket} buckets` }
+            ]);
+        }
+
+        const points = await db.getStatsHistory(metric, bucket, from, to);
+
+        res.json({
+            success: true,
+            metric,
+            bucket,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            points
+        });
+    } catch (error) {
+        req.log.error('Error fetching statistics history', error);
+        res.status(500).json({ error: 'Failed to fetch statistics history' });
+    }
+});
+
+// Launcher versions used in the last `days` days, with what the version policy says about each
+app.get('/api/stats/launcher-versions', rateLimits.http('read'), validate(schemas.launcherVersions), async (req, res) => {
+    try {
+        const { days = LAUNCHER_VERSIONS_DEFAULT_DAYS } = req.query;
+        const versions = await db.getLauncherVersions(days);
+
+        res.json({
+            success: true,
+            days,
+            minVersion: launcherPolicy.minVersion,
+            recommendedVersion: launcherPolicy.recommendedVersion,
+            versions: versions.map(version => ({
+                ...version,
+                update: launcherPolicy.updateFor(version.launcher_version)
+            }))
+        });
+    } catch (error) {
+        req.log.error('Error fetching launcher versions', error);
+        res.status(500).json({ error: 'Failed to fetch launcher versions' });
+    }
+});
+
+// Leaderboards (playtime, sessions, longest-session) for all time, this month or this week.
+// With a session token, the reply also has the caller's own rank.
+app.get('/api/leaderboards/:board', optionalSessionToken, rateLimits.http('read'), validate(schemas.leaderboard), async (req, res) => {
+    try {
+        const { board } = req.params;
+        const { window = 'all', limit = 25, offset = 0 } = req.query;
+
+        const playerId = req.verified ? req.playerId : null;
+        const leaderboard = await db.getLeaderboard(board, { window, limit, offset, playerId });
+
+        res.json({
+            success: true,
+            board,
+            window,
+            since: leaderboard.since,
+            total: leaderboard.total,
+            limit,
+            offset,
+            entries: leaderboard.entries,
+            me: leaderboard.me
+        });
+    } catch (error) {
+        req.log.error('Error fetching leaderboard', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// Multiplayer servers being played right now, most players first
+app.get('/api/servers', rateLimits.http('read'), validate(schemas.servers), async (req, res) => {
+    try {
+        const { limit = 50 } = req.query;
+        const { total, servers } = await db.getServers({ limit });
+
+        res.json({
+            success: true,
+            total,
+            servers
+        });
+    } catch (error) {
+        req.log.error('Error fetching servers', error);
+        res.status(500).json({ error: 'Failed to fetch servers' });
+    }
+});
+
+// One server's current players and recorded peak; "host" and "host:25565" are the same server
+app.get('/api/servers/:address', rateLimits.http('read'), validate(schemas.server), async (req, res) => {
+    try {
+        const server = await db.getServer(req.params.address);
+
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        res.json({
+            success: true,
+            server
+        });
+    } catch (error) {
+        req.log.error('Error fetching server', error);
+        res.status(500).json({ error: 'Failed to fetch server' });
+    }
+});
+
+// Heartbeat endpoint (for launcher to keep session alive)
+app.post('/api/player/heartbeat', requireSessionToken, rateLimits.http('heartbeat'), validate(schemas.session), async (req, res) => {
+    try {
+        const { sessionId } = req;
+
+        await heartbeatPlayer(sessionId);
+
+        res.json({
+            success: true,
+            message: 'Heartbeat received'
+        });
+    } catch (error) {
+        req.log.error('Error processing heartbeat', error);
+        res.status(500).json({ error: 'Failed to process heartbeat' });
+    }
+});
+
+// ===== FRIENDS ROUTES =====
+// Authenticated with the caller's session token. Other players are named by UUID, or by
+// username for offline accounts (as in /api/players/:uuid).
+app.use('/api/friends', requireSessionToken, requireVerifiedPlayer, rateLimits.http('friends'));
+
+// The other player of a friends request, or null once an error response has been sent
+async function findFriendTarget(req, res, identifier) {
+    const other = await db.findPlayer(identifier);
+    if (!other) {
+        res.status(404).json({ error: 'Player not found' });
+        return null;
+    }
+    if (other.id === req.playerId) {
+        res.status(400).json({ error: 'Cannot do that with your own player' });
+        return null;
+    }
+    return other;
+}
+
+// Friends, incoming and outgoing requests, and blocked players
+app.get('/api/friends', async (req, res) => {
+    try {
+        const lists = await db.getFriends(req.playerId);
+        res.json({
+            success: true,
+            ...lists
+        });
+    } catch (error) {
+        req.log.error('Error fetching friends', error);
+        res.status(500).json({ error: 'Failed to fetch friends' });
+    }
+});
+
+// Send a friend request; accepts right away if the other player already sent one
+app.post('/api/friends/requests', validate(schemas.friendTarget), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.body.player);
+        if (!other) return;
+
+        const result = await db.sendFriendRequest(req.playerId, other.id);
+        switch (result) {
+            case 'requested':
+            case 'accepted':
+                await publishFriendsChanged(req.playerId, other.id);
+                return res.status(result === 'requested' ? 201 : 200).json({
+                    success: true,
+                    status: result === 'requested' ? 'requested' : 'friends'
+                });
+            case 'already_friends':
+                return res.status(409).json({ error: 'Already friends' });
+            case 'already_requested':
+                return res.status(409).json({ error: 'Friend request already sent' });
+            default:
+                // Don't tell the sender whether they were blocked
+                return res.status(403).json({ error: 'Cannot send a friend request to this player' });
+        }
+    } catch (error) {
+        req.log.error('Error sending friend request', error);
+        res.status(500).json({ error: 'Failed to send friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:player/accept', validate(schemas.friend), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.params.player);
+        if (!other) return;
+
+        if (!await db.acceptFriendRequest(req.playerId, other.id)) {
+            return res.status(404).json({ error: 'No friend request from this player' });
+        }
+        await publishFriendsChanged(req.playerId, other.id);
+
+        res.json({
+            success: true,
+            status: 'friends'
+        });
+    } catch (error) {
+        req.log.error('Error accepting friend request', error);
+        res.status(500).json({ error: 'Failed to accept friend request' });
+    }
+});
+
+// Decline a request from the player, or cancel one sent to them
+app.delete('/api/friends/requests/:player', validate(schemas.friend), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.params.player);
+        if (!other) return;
+
+        if (!await db.removeFriendRequest(req.playerId, other.id)) {
+            return res.status(404).json({ error: 'No pending friend request with this player' });
+        }
+        await publishFriendsChanged(req.playerId, other.id);
+
+        res.json({
+            success: true,
+            message: 'Friend request removed'
+        });
+    } catch (error) {
+        req.log.error('Error removing friend request', error);
+        res.status(500).json({ error: 'Failed to remove friend request' });
+    }
+});
+
+app.delete('/api/friends/:player', validate(schemas.friend), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.params.player);
+        if (!other) return;
+
+        if (!await db.removeFriend(req.playerId, other.id)) {
+            return res.status(404).json({ error: 'Not friends with this player' });
+        }
+        await publishFriendsChanged(req.playerId, other.id);
+
+        res.json({
+            success: true,
+            message: 'Friend removed'
+        });
+    } catch (error) {
+        req.log.error('Error removing friend', error);
+        res.status(500).json({ error: 'Failed to remove friend' });
+    }
+});
+
+// Block a player: ends any friendship or request and refuses new requests both ways
+app.post('/api/friends/blocks', validate(schemas.friendTarget), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.body.player);
+        if (!other) return;
+
+        await db.blockPlayer(req.playerId, other.id);
+        await publishFriendsChanged(req.playerId, other.id);
+
+        res.json({
+            success: true,
+            message: 'Player blocked'
+        });
+    } catch (error) {
+        req.log.error('Error blocking player', error);
+        res.status(500).json({ error: 'Failed to block player' });
+    }
+});
+
+app.delete('/api/friends/blocks/:player', validate(schemas.friend), async (req, res) => {
+    try {
+        const other = await findFriendTarget(req, res, req.params.player);
+        if (!other) return;
+
+        if (!await db.unblockPlayer(req.playerId, other.id)) {
+            return res.status(404).json({ error: 'Player is not blocked' });
+        }
+        await publishFriendsChanged(req.playerId);
+
+        res.json({
+            success: true,
+            message: 'Player unblocked'
+        });
+    } catch (error) {
+        req.log.error('Error unblocking player', error);
+        res.status(500).json({ error: 'Failed to unblock player' });
+    }
+});
+
+// ===== ADMIN ROUTES =====
+// Authenticated with ADMIN_API_KEY as "Authorization: Bearer <key>"; disabled when unset.
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(503).json({ error: 'Admin API is disabled' });
+    }
+
+    if (!hasBearerToken(req, ADMIN_API_KEY)) {
+        return res.status(401).json({ error: 'Invalid admin API key' });
+    }
+
+    next();
+}
+
+app.use('/api/admin', rateLimits.http('admin'), requireAdmin);
+
+// List every session, including stale ones and fields hidden by privacy settings
+app.get('/api/admin/sessions', async (req, res) => {
+    try {
+        const sessions = await db.getAllSessions();
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions
+        });
+    } catch (error) {
+        req.log.error('Error fetching sessions for admin', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Force-end a session
+app.delete('/api/admin/sessions/:sessionId', validate(schemas.adminSession), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const sessions = await db.getAllSessions();
+        if (!sessions.some(session => session.session_id === sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await disconnectPlayer(sessionId);
+        await db.logAdminAction('end_session', sessionId, null, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        req.log.error('Error ending session for admin', error);
+        res.status(500).json({ error: 'Failed to end session' });
+    }
+});
+
+// Player data requests (export, erasure) whose identity was verified outside the API
+app.get('/api/admin/players/:player/export', validate(schemas.adminPlayer), async (req, res) => {
+    try {
+        const player = await db.findPlayer(req.params.player);
+        const data = player && await db.exportPlayerData(player.id);
+        if (!data) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        await db.logAdminAction('export_player', req.params.player, null, req.ip);
+
+        res.attachment('purplixi-player-data.json');
+        res.json({
+            success: true,
+            exportedAt: new Date().toISOString(),
+            ...data
+        });
+    } catch (error) {
+        req.log.error('Error exporting player data for admin', error);
+        res.status(500).json({ error: 'Failed to export player data' });
+    }
+});
+
+// Erase a player; their sessions end, so their tokens stop working
+app.delete('/api/admin/players/:player', validate(schemas.adminPlayer), async (req, res) => {
+    try {
+        const player = await db.findPlayer(req.params.player);
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        await erasePlayer(player.id);
+        await db.logAdminAction('erase_player', req.params.player, null, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Player data deleted'
+        });
+    } catch (error) {
+        req.log.error('Error deleting player data for admin', error);
+        res.status(500).json({ error: 'Failed to delete player data' });
+    }
 });
-app.use('/api/', limiter);
 
-// Simple health check
-const wsClients = new Set();
+// For a player who lost their secret: ends their sessions so the next connect gets a new one
+app.delete('/api/admin/players/:player/secret', validate(schemas.adminPlayer), async (req, res) => {
+    try {
+        const player = await db.findPlayer(req.params.player);
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        websockets: wsClients.size
-    });
+        const sessionIds = await db.resetPlayerSecret(player.id);
+        if (sessionIds.length > 0) {
+            await broadcastPlayersRemoved('player_disconnected', sessionIds.map(sessionId => ({ sessionId, playerId: player.id })));
+        }
+        await db.logAdminAction('reset_player_secret', req.params.player, null, req.ip);
+
+        res.json({
+            success: true,
+            message: 'Player secret reset'
+        });
+    } catch (error) {
+        req.log.error('Error resetting player secret', error);
+        res.status(500).json({ error: 'Failed to reset player secret' });
+    }
 });
 
-// ===== API ROUTES =====
-// Connect player
-app.post('/api/player/connect', async (req, res) => {
+app.get('/api/admin/bans', async (req, res) => {
+    try {
+        const bans = await db.getBans();
+        res.json({
+            success: true,
+            count: bans.length,
+            bans
+        });
+    } catch (error) {
+        req.log.error('Error fetching bans', error);
+        res.status(500).json({ error: 'Failed to fetch bans' });
+    }
+});
+
+// Ban a UUID, username or IP address; matching live sessions are ended immediately
+app.post('/api/admin/bans', validate(schemas.banCreate), async (req, res) => {
     try {
-        const { username, uuid, launcherVersion, privacy } = req.body;
+        const { type, value, reason, expiresAt } = req.body;
 
-        if (!username) {
-            return res.status(400).json({ error: 'Username is required' });
+        const invalidValue = checkBanValue(type, value);
+        if (invalidValue) {
+            return sendValidationError(res, [{ location: 'body', field: 'value', message: invalidValue }]);
         }
 
-        const sessionId = uuidv4();
+        const ban = await db.addBan({ type, value, reason, expiresAt });
 
-        await db.createSession(sessionId, username, privacy || {});
+        const sessionIds = await db.getSessionsMatchingBan(type, value);
+        for (const sessionId of sessionIds) {
+            await disconnectPlayer(sessionId);
+        }
 
-        // Broadcast update
-        const players = await db.getOnlinePlayers();
-        const count = await db.getPlayerCount();
-        broadcast({
-            type: 'player_connected',
-            players,
-            count
-        });
+        await db.logAdminAction('ban', `${type}:${ban.value}`, { reason, expiresAt, endedSessions: sessionIds }, req.ip);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            sessionId,
-            message: 'Player connected successfully'
+            ban,
+            endedSessions: sessionIds
         });
     } catch (error) {
-        console.error('Error connecting player:', error);
-        res.status(500).json({ error: 'Failed to connect player' });
+        req.log.error('Error creating ban', error);
+        res.status(500).json({ error: 'Failed to create ban' });
     }
 });
 
-// Update player status
-app.post('/api/player/status', async (req, res) => {
+app.delete('/api/admin/bans/:id', validate(schemas.adminBan), async (req, res) => {
     try {
-        const { sessionId, status, minecraftVersion, worldName, serverAddress, gameMode } = req.body;
+        const { id } = req.params;
 
-        if (!sessionId) {
-            return res.status(400).json({ error: 'Session ID is required' });
+        if (!await db.removeBan(id)) {
+            return res.status(404).json({ error: 'Ban not found' });
         }
 
-        await db.updateSession(sessionId, {
-            status,
-            minecraftVersion,
-            worldName,
-            serverAddress,
-            gameMode
-        });
+        await db.logAdminAction('unban', String(id), null, req.ip);
 
-        // Broadcast update
-        const players = await db.getOnlinePlayers();
-        const count = await db.getPlayerCount();
-        broadcast({
-            type: 'player_updated',
-            players,
-            count
+        res.json({
+            success: true,
+            message: 'Ban removed'
         });
+    } catch (error) {
+        req.log.error('Error removing ban', error);
+        res.status(500).json({ error: 'Failed to remove ban' });
+    }
+});
+
+// Reset the statistics counters (and optionally the hourly/daily history)
+app.post('/api/admin/stats/reset', validate(schemas.statsReset), async (req, res) => {
+    try {
+        const { includeHistory = false } = req.body;
+
+        await db.resetStatistics({ includeHistory });
+        await db.logAdminAction('reset_stats', null, { includeHistory }, req.ip);
 
         res.json({
             success: true,
-            message: 'Status updated successfully'
+            message: 'Statistics reset'
         });
     } catch (error) {
-        console.error('Error updating player status:', error);
-        res.status(500).json({ error: 'Failed to update status' });
+        req.log.error('Error resetting statistics', error);
+        res.status(500).json({ error: 'Failed to reset statistics' });
     }
 });
 
-// Disconnect player
-app.post('/api/player/disconnect', async (req, res) => {
+app.get('/api/admin/audit-log', validate(schemas.auditLog), async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const { limit = 50, offset = 0 } = req.query;
+        const { total, entries } = await db.getAuditLog({ limit, offset });
 
-        if (!sessionId) {
-            return res.status(400).json({ error: 'Session ID is required' });
-        }
+        res.json({
+            success: true,
+            total,
+            limit,
+            offset,
+            entries
+        });
+    } catch (error) {
+        req.log.error('Error fetching audit log', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// ===== Admin: webhooks =====
+
+app.get('/api/admin/webhooks', async (req, res) => {
+    try {
+        const webhooks = await db.getWebhooks();
+        res.json({
+            success: true,
+            count: webhooks.length,
+            webhooks
+        });
+    } catch (error) {
+        req.log.error('Error fetching webhooks', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
 
-        await db.endSession(sessionId);
+// The signing secret is only returned here; store it on the receiving side
+app.post('/api/admin/webhooks', validate(schemas.webhookCreate), async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
 
-        // Broadcast update
-        const players = await db.getOnlinePlayers();
-        const count = await db.getPlayerCount();
-        broadcast({
-            type: 'player_disconnected',
-            players,
-            count
+        const webhook = await db.createWebhook({
+            url,
+            secret: createSecret(),
+            events: [...new Set(events)],
+            description
         });
+        await db.logAdminAction('create_webhook', String(webhook.id), { url, events: webhook.events }, req.ip);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Player disconnected successfully'
+            webhook
         });
     } catch (error) {
-        console.error('Error disconnecting player:', error);
-        res.status(500).json({ error: 'Failed to disconnect player' });
+        req.log.error('Error creating webhook', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
     }
 });
 
-// Get online players
-app.get('/api/players/online', async (req, res) => {
+// Change a webhook, or re-enable one that was disabled after failing
+app.patch('/api/admin/webhooks/:id', validate(schemas.webhookUpdate), async (req, res) => {
     try {
-        const players = await db.getOnlinePlayers();
+        const { id } = req.params;
+        const { url, events, description, enabled } = req.body;
+
+        const webhook = await db.updateWebhook(id, {
+            url,
+            events: events && [...new Set(events)],
+            description,
+            enabled
+        });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await db.logAdminAction('update_webhook', String(id), { url, events, description, enabled }, req.ip);
+
         res.json({
             success: true,
-            count: players.length,
-            players
+            webhook
         });
     } catch (error) {
-        console.error('Error fetching online players:', error);
-        res.status(500).json({ error: 'Failed to fetch players' });
+        req.log.error('Error updating webhook', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
     }
 });
 
-// Get statistics
-app.get('/api/stats', async (req, res) => {
+app.delete('/api/admin/webhooks/:id', validate(schemas.webhook), async (req, res) => {
     try {
-        const stats = await db.getStatistics();
-        const popularVersions = await db.getPopularVersions(5);
+        const { id } = req.params;
+
+        if (!await db.deleteWebhook(id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await db.logAdminAction('delete_webhook', String(id), null, req.ip);
 
         res.json({
             success: true,
-            statistics: stats,
-            popularVersions
+            message: 'Webhook deleted'
         });
     } catch (error) {
-        console.error('Error fetching statistics:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        req.log.error('Error deleting webhook', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
     }
 });
 
-// Heartbeat endpoint (for launcher to keep session alive)
-app.post('/api/player/heartbeat', async (req, res) => {
+app.get('/api/admin/webhooks/:id/deliveries', validate(schemas.webhookDeliveries), async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const { id } = req.params;
+        const { status, limit = 50, offset = 0 } = req.query;
 
-        if (!sessionId) {
-            return res.status(400).json({ error: 'Session ID is required' });
+        if (!await db.getWebhook(id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
 
-        await db.updateSession(sessionId, {});
+        const { total, deliveries } = await db.getWebhookDeliveries(id, { status, limit, offset });
 
         res.json({
             success: true,
-            message: 'Heartbeat received'
+            total,
+            limit,
+            offset,
+            deliveries
         });
     } catch (error) {
-        console.error('Error processing heartbeat:', error);
-        res.status(500).json({ error: 'Failed to process heartbeat' });
+        req.log.error('Error fetching webhook deliveries', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
     }
 });
 
@@ -237,7 +1519,11 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-    console.error('Server error:', err);
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    req.log.error('Server error', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -251,57 +1537,78 @@ function setupWSS(serverInstance) {
     }
 
     wss.on('connection', async (ws, req) => {
-        console.log('New WebSocket client connected from', req.socket.remoteAddress);
+        // Everything logged for the socket carries its connection ID
+        ws.connectionId = uuidv4();
+        ws.log = logger.child({ connectionId: ws.connectionId });
+        // Behind a trusted proxy, the client's address from X-Forwarded-For (as req.ip)
+        ws.remoteAddress = clientAddress(req, app.get('trust proxy fn'));
+        ws.log.info('WebSocket client connected', { ip: ws.remoteAddress });
         ws.isAlive = true;
         ws.lastPong = Date.now();
         ws.on('pong', () => {
             ws.isAlive = true;
             ws.lastPong = Date.now();
+
+            // Socket liveness doubles as the session heartbeat for launchers
+            if (ws.sessionId) {
+                heartbeatPlayer(ws.sessionId).catch((error) => {
+                    ws.log.error('Error refreshing session from pong', error);
+                });
+            }
         });
 
-        ws.on('close', () => {
-            console.log('WebSocket client disconnected');
+        ws.on('close', (code) => {
+            ws.log.info('WebSocket client disconnected', { code, sessionId: ws.sessionId || undefined });
             wsClients.delete(ws);
+
+            // The last socket bound to a session going away ends that session
+            const { sessionId } = ws;
+            if (sessionId && unbindSession(ws) === 0) {
+                disconnectPlayer(sessionId).catch((error) => {
+                    ws.log.error('Error ending session for closed socket', error);
+                });
+            }
         });
 
         ws.on('error', (error) => {
-            console.error('WebSocket error:', error);
+            ws.log.error('WebSocket error', error);
             wsClients.delete(ws);
             try { ws.terminate(); } catch (_) {}
         });
 
+        // Filters for the default channel can be given up front: /ws?serverAddress=...&statsOnly=true
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const { filters, error: filterError } = parseFilters(Object.fromEntries(searchParams));
+        if (filterError) {
+            sendToClient(ws, { type: 'error', id: null, error: filterError });
+            ws.close(1008, 'Invalid filters');
+            return;
+        }
+        ws.subscriber = createSubscriber(filters);
+
+        ws.on('message', (msg) => {
+            handleClientMessage(ws, msg);
+        });
+
         wsClients.add(ws);
 
         // Send initial player list
         try {
-            const players = await db.getOnlinePlayers();
-            ws.send(JSON.stringify({
+            const snapshot = snapshotFor(ws.subscriber, await getPlayersSnapshot());
+            sendToClient(ws, {
                 type: 'initial',
-                players: players,
-                count: players.length
-            }));
+                ...snapshot
+            });
         } catch (error) {
-            console.error('Error sending initial data:', error);
+            ws.log.error('Error sending initial data', error);
         }
-
-        // Optionally handle incoming messages if needed:
-        ws.on('message', (msg, isBinary) => {
-            // If you expect messages from clients, handle them here.
-            // Example: parse JSON safely
-            try {
-                const data = JSON.parse(isBinary ? msg : msg.toString());
-                // handle data...
-            } catch (e) {
-                // ignore non-json messages for now
-            }
-        });
     });
 
     // server-side ping/pong sweep to detect dead sockets
     const interval = setInterval(() => {
         wss.clients.forEach((ws) => {
             if (ws.isAlive === false) {
-                console.log('Terminating dead ws client');
+                ws.log.info('Terminating dead WebSocket client');
                 try { ws.terminate(); } catch (_) {}
                 wsClients.delete(ws);
                 return;
@@ -311,79 +1618,506 @@ function setupWSS(serverInstance) {
             try {
                 ws.ping(() => { /* noop */ });
             } catch (err) {
-                console.error('Failed to ping ws client', err);
+                ws.log.error('Failed to ping WebSocket client', err);
             }
         });
     }, PING_INTERVAL_MS);
 
+    // The server's own 'error' handler (see listen) logs its errors; ws re-emits them here
+    wss.on('error', () => {});
+
     wss.on('close', () => {
+        wss.closed = true;
         clearInterval(interval);
     });
 
     return wss;
 }
 
-// Broadcast to all WebSocket clients
+// ===== WebSocket protocol =====
+// Launchers can report presence over the socket instead of polling the REST routes,
+// and dashboards can narrow what they receive with subscribe/unsubscribe.
+// Client messages are JSON objects { type, id, ...fields } with type one of snapshot,
+// subscribe, unsubscribe, hello, connect, status, privacy, heartbeat or disconnect. Each message
+// is answered with { type: 'ack', id, action, ...result } or { type: 'error', id, action, error }.
+// A socket bound to a session sees presence as that player does (friends included) until
+// the session ends.
+// Several sockets can be bound to one session (e.g. a launcher that reconnected before its
+// old socket timed out); the session ends when the last of them closes.
+const sessionSockets = new Map(); // sessionId -> Set of sockets bound to it
+
+// Resolves to false, without binding, if the socket closed while the session was being
+// looked up or created: its close handler has already run and wouldn't end the session.
+async function bindSession(ws, sessionId, playerId, verified) {
+    const viewer = await viewerFor(playerId, verified);
+    if (ws.readyState !== 1) return false; // OPEN
+    if (ws.sessionId && ws.sessionId !== sessionId) unbindSession(ws);
+
+    ws.sessionId = sessionId;
+    ws.playerId = playerId;
+    if (!sessionSockets.has(sessionId)) sessionSockets.set(sessionId, new Set());
+    sessionSockets.get(sessionId).add(ws);
+    ws.subscriber.viewer = viewer;
+    return true;
+}
+
+// Returns how many sockets are still bound to the session ws was bound to
+function unbindSession(ws) {
+    let remaining = 0;
+    const sockets = ws.sessionId ? sessionSockets.get(ws.sessionId) : null;
+    if (sockets) {
+        sockets.delete(ws);
+        remaining = sockets.size;
+        if (remaining === 0) sessionSockets.delete(ws.sessionId);
+    }
+    ws.sessionId = null;
+    ws.playerId = null;
+    ws.subscriber.viewer = null;
+    return remaining;
+}
+
+function unbindSessionSockets(sessionId) {
+    const sockets = sessionSockets.get(sessionId);
+    if (sockets) [...sockets].forEach(unbindSession);
+}
+
+// Tell a launcher socket that a newer launcher is available (or required)
+function notifyOutdatedLauncher(ws, launcherVersion) {
+    const notice = launcherPolicy.noticeFor(launcherVersion);
+    if (notice) sendToClient(ws, { type: 'update_available', ...notice });
+}
+
+// Same schemas as the REST routes; returns { error, details } when the message doesn't match
+function checkMessage(schema, message) {
+    const details = [];
+    checkObject(schema, message, 'message', details);
+    return details.length > 0 ? { error: 'Validation failed', details } : null;
+}
+
+// Each handler resolves to the ack payload, or { error, ...context } for a rejected request
+const wsMessageHandlers = {
+    // Full player list, e.g. after the client detected a gap in broadcast sequence numbers
+    async snapshot(ws) {
+        return snapshotFor(ws.subscriber, await getPlayersSnapshot());
+    },
+
+    // Add or replace a filtered channel; the reply carries the client's new snapshot
+    async subscribe(ws, message) {
+        const channel = message.channel === undefined ? DEFAULT_CHANNEL : message.channel;
+        if (typeof channel !== 'string' || channel.length === 0 || channel.length > 64) {
+            return { error: 'channel must be a string of 1 to 64 characters' };
+        }
+
+        const { filters, error, details } = parseFilters(message.filters);
+        if (error) {
+            return { error, details };
+        }
+
+        ws.subscriber.subscriptions.set(channel, filters);
+        return { channel, filters, ...snapshotFor(ws.subscriber, await getPlayersSnapshot()) };
+    },
+
+    async unsubscribe(ws, message) {
+        const channel = message.channel === undefined ? DEFAULT_CHANNEL : message.channel;
+        if (!ws.subscriber.subscriptions.delete(channel)) {
+            return { error: 'Unknown channel' };
+        }
+
+        return { channel, ...snapshotFor(ws.subscriber, await getPlayersSnapshot()) };
+    },
+
+    // Resume a session created earlier (over REST or a previous socket). Like connect, the
+    // reply carries a new snapshot as this player sees it.
+    async hello(ws, message) {
+        if (ws.connecting) {
+            return { error: 'Socket is already connecting' };
+        }
+
+        let session;
+        ws.connecting = true;
+        try {
+            session = await db.getSessionByToken(message.sessionToken);
+            if (!session) {
+                return { error: 'Invalid or expired session token' };
+            }
+            // The session outlives a socket that closed meanwhile; it was created elsewhere
+            if (!(await bindSession(ws, session.session_id, session.player_id, Boolean(session.verified)))) {
+                return { error: 'Socket closed' };
+            }
+        } finally {
+            ws.connecting = false;
+        }
+
+        await heartbeatPlayer(session.session_id);
+        notifyOutdatedLauncher(ws, session.launcher_version);
+        return { sessionId: session.session_id, ...snapshotFor(ws.subscriber, await getPlayersSnapshot()) };
+    },
+
+    async connect(ws, message) {
+        if (ws.sessionId) {
+            return { error: 'Socket already has a session' };
+        }
+        // Messages are handled concurrently, so a second connect (or a hello) sent before the
+        // first is answered would otherwise create a session that no socket ends
+        if (ws.connecting) {
+            return { error: 'Socket is already connecting' };
+        }
+
+        const invalid = checkMessage(schemas.connect.body, message);
+        if (invalid) {
+            return invalid;
+        }
+
+        const { username, uuid, launcherVersion, privacy, playerSecret } = message;
+        let result;
+        ws.connecting = true;
+        try {
+            result = await connectPlayer({ username, uuid, launcherVersion, privacy, playerSecret, ipAddress: ws.remoteAddress });
+            if (result.ban) {
+                return banMessage(result.ban);
+            }
+            if (result.outdated) {
+                return outdatedMessage(result.outdated);
+            }
+
+            // Nothing else would end a session created for a socket that has since closed
+            if (!(await bindSession(ws, result.sessionId, result.playerId, result.verified))) {
+                await disconnectPlayer(result.sessionId);
+                return { error: 'Socket closed' };
+            }
+        } finally {
+            ws.connecting = false;
+        }
+
+        const { sessionId, sessionToken, verified, update } = result;
+        notifyOutdatedLauncher(ws, launcherVersion);
+        return {
+            sessionId,
+            sessionToken,
+            verified,
+            ...(result.playerSecret ? { playerSecret: result.playerSecret } : {}),
+            update,
+            ...snapshotFor(ws.subscriber, await getPlayersSnapshot())
+        };
+    },
+
+    async status(ws, message) {
+        if (!ws.sessionId) {
+            return { error: 'Not authenticated' };
+        }
+
+        const invalid = checkMessage(schemas.status.body, message);
+        if (invalid) {
+            return invalid;
+        }
+
+        const { status, minecraftVersion, worldName, serverAddress, gameMode, presence } = message;
+        await updatePlayerStatus(ws.sessionId, { status, minecraftVersion, worldName, serverAddress, gameMode, presence });
+        return {};
+    },
+
+    async privacy(ws, message) {
+        if (!ws.sessionId) {
+            return { error: 'Not authenticated' };
+        }
+
+        const invalid = checkMessage(schemas.privacy.body, message);
+        if (invalid) {
+            return invalid;
+        }
+
+        const privacy = privacyChanges(message);
+        if (!privacy) {
+            const details = [{ location: 'message', field: 'message', message: 'must set at least one privacy setting' }];
+            return { error: 'Validation failed', details };
+        }
+
+        await updatePlayerPrivacy(ws.sessionId, privacy);
+        return {};
+    },
+
+    async heartbeat(ws) {
+        if (!ws.sessionId) {
+            return { error: 'Not authenticated' };
+        }
+
+        await heartbeatPlayer(ws.sessionId);
+        return {};
+    },
+
+    async disconnect(ws) {
+        if (!ws.sessionId) {
+            return { error: 'Not authenticated' };
+        }
+
+        await disconnectPlayer(ws.sessionId);
+        return {};
+    }
+};
+
+// The rate limit policy each message counts against, as its REST route does; every
+// message also counts against the socket's own 'websocket' policy
+const wsMessagePolicies = {
+    snapshot: 'read',
+    subscribe: 'read',
+    unsubscribe: 'read',
+    hello: 'connect',
+    connect: 'connect',
+    status: 'status',
+    privacy: 'status',
+    heartbeat: 'heartbeat',
+    disconnect: 'status'
+};
+
+// Count a message against a policy; false (after answering with an error) when it's over
+async function allowMessage(ws, policy, id, action) {
+    const source = { session: ws.sessionId, player: ws.playerId, ip: ws.remoteAddress, connection: ws.connectionId };
+    const { limited, hits, limit, retryAfter } = await rateLimits.consume(policy, source);
+    if (!limited) return true;
+
+    rateLimited.inc({ policy, transport: 'websocket' });
+    ws.log.debug('Rate limited', { policy, action, sessionId: ws.sessionId || undefined });
+    sendToClient(ws, { type: 'error', id, action, error: 'Too many requests', policy, retryAfter });
+
+    if (policy === 'websocket' && hits > limit * WS_RATE_LIMIT_CLOSE_FACTOR) {
+        ws.log.warn('Closing WebSocket over rate limit', { hits, limit, ip: ws.remoteAddress });
+        ws.close(1008, 'Rate limit exceeded');
+    }
+    return false;
+}
+
+async function handleClientMessage(ws, msg) {
+    if (!(await allowMessage(ws, 'websocket', null, undefined))) return;
+
+    let message;
+    try {
+        message = JSON.parse(msg.toString());
+    } catch (e) {
+        sendToClient(ws, { type: 'error', id: null, error: 'Invalid JSON' });
+        return;
+    }
+
+    const id = message && message.id !== undefined ? message.id : null;
+    const action = message && message.type;
+    const handler = typeof action === 'string' && Object.prototype.hasOwnProperty.call(wsMessageHandlers, action)
+        ? wsMessageHandlers[action]
+        : null;
+
+    if (!handler) {
+        sendToClient(ws, { type: 'error', id, action, error: 'Unknown message type' });
+        return;
+    }
+
+    try {
+        if (!(await allowMessage(ws, wsMessagePolicies[action], id, action))) return;
+
+        const result = await handler(ws, message);
+        if (result.error) {
+            sendToClient(ws, { type: 'error', id, action, ...result });
+        } else {
+            sendToClient(ws, { type: 'ack', id, action, ...result });
+        }
+    } catch (error) {
+        ws.log.error(`Error handling WebSocket ${action} message`, error);
+        sendToClient(ws, { type: 'error', id, action, error: `Failed to process ${action}` });
+    }
+}
+
+function sendToClient(ws, data) {
+    if (ws.readyState !== 1) return; // OPEN
+    try {
+        ws.send(JSON.stringify(data));
+        wsMessagesSent.inc({ type: data.type });
+    } catch (error) {
+        ws.log.error('Error sending to client', error);
+    }
+}
+
+// ===== Server-Sent Events =====
+// Event ids are "<stream id>-<seq>". The stream id changes on every restart, so a client
+// resuming against a different process gets a fresh snapshot instead of a bogus replay.
+const STREAM_ID = Date.now().toString(36);
+const recentEvents = [];
+
+function parseEventId(eventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(eventId || '');
+    if (!match || match[1] !== STREAM_ID) return null;
+    return parseInt(match[2], 10);
+}
+
+// Broadcasts after `seq`, or null when the buffer no longer reaches back that far
+function eventsSince(seq) {
+    if (seq > broadcastSeq) return null;
+    const oldest = recentEvents.length > 0 ? recentEvents[0].seq : broadcastSeq + 1;
+    if (seq < oldest - 1) return null;
+    return recentEvents.filter(event => event.seq > seq);
+}
+
+function writeStreamEvent(res, message) {
+    res.write(`id: ${STREAM_ID}-${message.seq}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sendToStream(client, data) {
+    const message = eventFor(client.subscriber, data);
+    if (!message) return;
+
+    try {
+        writeStreamEvent(client.res, message);
+    } catch (error) {
+        client.log.error('Error sending to event stream', error);
+        sseClients.delete(client);
+        try { client.res.end(); } catch (_) {}
+    }
+}
+
+setInterval(() => {
+    sseClients.forEach(client => {
+        try { client.res.write(': keep-alive\n\n'); } catch (_) {}
+    });
+}, SSE_KEEPALIVE_MS).unref();
+
+// Broadcast to all WebSocket and SSE clients, narrowed to what each one subscribed to
 function broadcast(data) {
-    const message = JSON.stringify(data);
+    const end = broadcastDuration.startTimer();
+    recentEvents.push(data);
+    if (recentEvents.length > RECENT_EVENTS_LIMIT) recentEvents.shift();
+
+    sseClients.forEach(client => sendToStream(client, data));
+
     wsClients.forEach(client => {
         if (client.readyState === 1) { // OPEN
+            const message = eventFor(client.subscriber, data);
+            if (!message) return;
+
             try {
-                client.send(message);
+                client.send(JSON.stringify(message));
+                wsMessagesSent.inc({ type: message.type });
             } catch (error) {
-                console.error('Error sending to client:', error);
+                client.log.error('Error sending to client', error);
                 wsClients.delete(client);
                 try { client.terminate(); } catch (_) {}
             }
         }
     });
+
+    end();
 }
 
-// Cleanup stale sessions every minute
+// Cleanup stale sessions every CLEANUP_INTERVAL_MS. The last run is tracked for /health/ready.
+const cleanupJob = { activeSince: null, lastSuccess: null, lastError: null };
+
 setInterval(async () => {
+    if (!leader.isLeader) {
+        cleanupJob.activeSince = null;
+        return;
+    }
+    if (!cleanupJob.activeSince) cleanupJob.activeSince = Date.now();
+
     try {
         const cleaned = await db.cleanupStaleSessions();
-        if (cleaned > 0) {
-            console.log(`Cleaned up ${cleaned} stale sessions`);
+        if (cleaned.length > 0) {
+            staleSessionsCleaned.inc({}, cleaned.length);
+            logger.info('Cleaned up stale sessions', { count: cleaned.length });
 
             // Broadcast update after cleanup
-            const players = await db.getOnlinePlayers();
-            const count = await db.getPlayerCount();
-            broadcast({
-                type: 'cleanup',
-                players,
-                count
-            });
+            await broadcastPlayersRemoved('cleanup', cleaned);
+        }
+        cleanupJob.lastSuccess = Date.now();
+        cleanupJob.lastError = null;
+    } catch (error) {
+        cleanupJob.lastError = error.message;
+        logger.error('Error during cleanup', error);
+    }
+}, CLEANUP_INTERVAL_MS);
+
+// Sample statistics for the hourly/daily rollups
+setInterval(async () => {
+    if (!leader.isLeader) return;
+
+    try {
+        const previousPeak = await db.getDailyPeak();
+        const online = await db.recordStatsSample();
+
+        // A new high for the day (UTC) is a webhook milestone
+        if (online > (previousPeak || 0)) {
+            await queueWebhooks(() => webhookDispatcher.enqueue('daily_peak', {
+                date: new Date().toISOString().slice(0, 10),
+                count: online,
+                previousPeak
+            }));
         }
     } catch (error) {
-        console.error('Error during cleanup:', error);
+        logger.error('Error recording statistics sample', error);
+    }
+}, STATS_SAMPLE_INTERVAL_MS);
+
+// Send queued webhook deliveries and retries that are due
+setInterval(async () => {
+    if (!leader.isLeader) return;
+
+    try {
+        await webhookDispatcher.deliverDue();
+    } catch (error) {
+        logger.error('Error delivering webhooks', error);
+    }
+}, WEBHOOK_POLL_INTERVAL_MS);
+
+// Trim the webhook delivery log
+setInterval(async () => {
+    if (!leader.isLeader) return;
+
+    try {
+        await db.purgeWebhookDeliveries(WEBHOOK_LOG_DAYS);
+    } catch (error) {
+        logger.error('Error purging webhook deliveries', error);
     }
-}, 60000);
+}, WEBHOOK_LOG_PURGE_INTERVAL_MS);
+
+// Anonymize players past the retention period
+if (PLAYER_RETENTION_DAYS > 0) {
+    setInterval(async () => {
+        if (!leader.isLeader) return;
+
+        try {
+            const purged = await db.purgeInactivePlayers(PLAYER_RETENTION_DAYS);
+            if (purged > 0) {
+                logger.info('Anonymized inactive players', { count: purged, retentionDays: PLAYER_RETENTION_DAYS });
+            }
+        } catch (error) {
+            logger.error('Error purging inactive players', error);
+        }
+    }, RETENTION_PURGE_INTERVAL_MS);
+}
 
 // Graceful shutdown
 async function gracefulShutdown(httpServer, httpsServer) {
-    console.log('\nShutting down gracefully...');
+    logger.info('Shutting down gracefully');
 
     try {
         if (httpServer) {
             httpServer.close(() => {
-                console.log('HTTP server closed');
+                logger.info('HTTP server closed');
             });
         }
         if (httpsServer) {
             httpsServer.close(() => {
-                console.log('HTTPS server closed');
+                logger.info('HTTPS server closed');
             });
         }
     } catch (err) {
-        console.error('Error closing servers:', err);
+        logger.error('Error closing servers', err);
     }
 
+    // Let another instance take over cleanup right away, and stop receiving events
+    await leader.stop();
+    await bus.close();
+    await webhookDispatcher.stop();
+
     try {
         // ensure DB closes
         await db.close();
     } catch (err) {
-        console.error('Error closing DB:', err);
+        logger.error('Error closing DB', err);
     }
 
     // terminate remaining websockets
@@ -391,6 +2125,11 @@ async function gracefulShutdown(httpServer, httpsServer) {
         try { ws.terminate(); } catch (_) {}
     });
 
+    // end open event streams
+    sseClients.forEach((client) => {
+        try { client.res.end(); } catch (_) {}
+    });
+
     setTimeout(() => process.exit(0), 1000).unref();
 }
 
@@ -402,6 +2141,20 @@ let httpServerInstance = null;
 let httpsServerInstance = null;
 let httpWssInstance = null;
 let httpsWssInstance = null;
+let certificateExpiresAt = null;
+
+// A server that fails to bind (e.g. the port is taken) is logged and reported by
+// /health/ready; the other listener keeps serving
+function listen(server, port, name, fields) {
+    server.on('error', (error) => {
+        server.lastError = error;
+        logger.error(`${name} server error`, error);
+    });
+    server.listen(port, HOST, () => {
+        server.lastError = null;
+        logger.info(`${name} server listening`, fields);
+    });
+}
 
 async function ensureCerts() {
     if (!fs.existsSync(CERT_DIR)) fs.mkdirSync(CERT_DIR, { recursive: true });
@@ -413,9 +2166,9 @@ async function ensureCerts() {
         return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile) };
     }
 
-    console.log('Generating self-signed certificate for development (saved to ./certs/) ...');
+    logger.info('Generating self-signed certificate for development', { certDir: CERT_DIR });
 
-    const attrs = [{ name: 'commonName', value: process.env.SSL_COMMON_NAME || 'localhost' }];
+    const attrs = [{ name: 'commonName', value: config.server.sslCommonName }];
     const opts = {
         days: 3650,
         keySize: 2048,
@@ -431,15 +2184,40 @@ async function ensureCerts() {
     return { key: pems.private, cert: pems.cert };
 }
 
+// Request handler for the HTTP server when HTTPS is on: non-API GETs are redirected to
+// HTTPS, everything else goes to the app. Exactly one of them answers each request.
+function redirectToHttps(req, res) {
+    const served = ['/api', '/health', '/metrics', '/ws'].some(prefix => req.url.startsWith(prefix));
+    if (req.method !== 'GET' || served) return app(req, res);
+
+    const host = req.headers.host ? req.headers.host.split(':')[0] : HOST;
+    res.writeHead(301, { Location: `https://${host}:${HTTPS_PORT}${req.url}` });
+    res.end();
+}
+
 (async function startServers() {
     try {
-        // Always start HTTP server (may be used for redirect to HTTPS)
-        const httpServer = http.createServer(app);
+        // Tables and legacy data migrations must be in place before serving requests
+        await db.ready;
+
+        await bus.connect();
+        await bus.subscribe(PLAYER_EVENTS_CHANNEL, deliverPlayerEvent);
+        await bus.subscribe(FRIEND_EVENTS_CHANNEL, deliverFriendEvent);
+        await leader.start();
+
+        // Always start HTTP server. With HTTPS on, it redirects browser page loads to HTTPS
+        // and still serves the API, health checks, metrics and ws for clients that use HTTP.
+        const httpServer = http.createServer(USE_HTTPS ? redirectToHttps : app);
         httpServerInstance = httpServer;
 
         // If HTTPS is requested - create certs and an HTTPS server
         if (USE_HTTPS) {
             const { key, cert } = await ensureCerts();
+            certificateExpiresAt = certificateExpiry(cert);
+            const certificate = checkCertificate(certificateExpiresAt, { warnDays: CERT_EXPIRY_WARN_DAYS });
+            if (certificate.status !== 'ok' || certificate.warning) {
+                logger.warn(certificate.error || certificate.warning, { certDir: CERT_DIR, expiresAt: certificate.expiresAt });
+            }
 
             // Create HTTPS server using same express app
             const httpsServer = https.createServer({ key, cert }, app);
@@ -451,39 +2229,35 @@ async function ensureCerts() {
             // Also setup WS on HTTP server (optional): allows ws connections (non-secure)
             httpWssInstance = setupWSS(httpServer);
 
-            // Start HTTP server mainly for redirecting to HTTPS
-            httpServer.on('request', (req, res) => {
-                // If request is already for health or an API endpoint, you might want to accept it.
-                // But for security, redirect all non-API GETs to https.
-                if (req.method === 'GET' && !req.url.startsWith('/api') && !req.url.startsWith('/health') && !req.url.startsWith('/ws')) {
-                    const host = req.headers.host ? req.headers.host.split(':')[0] : HOST;
-                    const redirectTo = `https://${host}:${HTTPS_PORT}${req.url}`;
-                    res.writeHead(301, { Location: redirectTo });
-                    res.end();
-                }
-            });
-
-            httpServer.listen(HTTP_PORT, HOST, () => {
-                console.log(`HTTP server listening on http://${HOST}:${HTTP_PORT}`);
-            });
-
-            httpsServer.listen(HTTPS_PORT, HOST, () => {
-                console.log(`HTTPS server listening on https://${HOST}:${HTTPS_PORT}`);
-                console.log(`WSS endpoint: wss://${HOST}:${HTTPS_PORT}/ws`);
-                console.log(`WS endpoint (non-secure): ws://${HOST}:${HTTP_PORT}/ws`);
-            });
+            listen(httpServer, HTTP_PORT, 'HTTP', { url: `http://${HOST}:${HTTP_PORT}`, ws: `ws://${HOST}:${HTTP_PORT}/ws` });
+            listen(httpsServer, HTTPS_PORT, 'HTTPS', { url: `https://${HOST}:${HTTPS_PORT}`, ws: `wss://${HOST}:${HTTPS_PORT}/ws` });
 
         } else {
             // Only HTTP + WS
             httpWssInstance = setupWSS(httpServer);
-            httpServer.listen(HTTP_PORT, HOST, () => {
-                console.log(`HTTP server listening on http://${HOST}:${HTTP_PORT}`);
-                console.log(`WS endpoint: ws://${HOST}:${HTTP_PORT}/ws`);
-            });
+            listen(httpServer, HTTP_PORT, 'HTTP', { url: `http://${HOST}:${HTTP_PORT}`, ws: `ws://${HOST}:${HTTP_PORT}/ws` });
         }
 
-        // show API endpoints summary
-        console.log(`
+        logger.info('Server started', {
+            environment: config.nodeEnv,
+            https: USE_HTTPS,
+            storage: config.storage.backend,
+            pubsub: config.pubsub.backend,
+            instance: INSTANCE_ID,
+            leader: leader.isLeader,
+            playerRetentionDays: PLAYER_RETENTION_DAYS,
+            launcherMinVersion: launcherPolicy.minVersion,
+            launcherRecommendedVersion: launcherPolicy.recommendedVersion,
+            launcherRejectOutdated: launcherPolicy.rejectOutdated,
+            trustProxy: rateLimitConfig.trustProxy,
+            rateLimits: rateLimits.summary()
+        });
+        if (rateLimitConfig.trustProxy === true) {
+            logger.warn('TRUST_PROXY=true trusts any X-Forwarded-For, so clients can pick the address they are rate limited by; give the proxy hop count or addresses instead');
+        }
+
+        // API endpoints summary, for a person at a terminal; log collectors get the line above
+        if (process.stdout.isTTY) process.stdout.write(`
 ╔═══════════════════════════════════════════════════════╗
 ║         Purplixi API Server                           ║
 ╚═══════════════════════════════════════════════════════╝
@@ -492,16 +2266,39 @@ API Endpoints:
   POST   /api/player/connect      - Connect player
   POST   /api/player/disconnect   - Disconnect player
   POST   /api/player/status       - Update player status
+  POST   /api/player/privacy      - Change privacy settings
   POST   /api/player/heartbeat    - Keep session alive
+  GET    /api/player/me/export    - Export the session's data
+  DELETE /api/player/me           - End the session and delete its data
   GET    /api/players/online      - Get online players
+  GET    /api/players/stream      - Player changes (Server-Sent Events)
+  GET    /api/players/:uuid       - Get player profile
+  GET    /api/players/:uuid/sessions - Get player session history
+  GET    /api/leaderboards/:board - Playtime, session and longest-session rankings
+  GET    /api/servers             - Servers being played right now
+  GET    /api/servers/:address    - Server players and peak
   GET    /api/stats               - Get statistics
+  GET    /api/stats/history       - Get statistics over time
+  GET    /api/stats/launcher-versions - Launcher versions in use
   GET    /health                  - Health check
+  GET    /health/live             - Liveness probe
+  GET    /health/ready            - Readiness probe (503 when degraded)
+  GET    /metrics                 - Prometheus metrics
+  *      /api/friends/...         - Friends, requests and blocks (session token)
+  *      /api/admin/...           - Admin API (requires ADMIN_API_KEY)
 
-Environment: ${process.env.NODE_ENV || 'development'}
+Environment: ${config.nodeEnv}
 USE_HTTPS: ${USE_HTTPS}
+Storage: ${config.storage.backend}
+Pub/sub: ${config.pubsub.backend}
+Instance: ${INSTANCE_ID}${leader.isLeader ? ' (leader)' : ''}
+Player retention: ${PLAYER_RETENTION_DAYS > 0 ? `${PLAYER_RETENTION_DAYS} days` : 'forever'}
+Launcher versions: minimum ${launcherPolicy.minVersion || 'none'}, recommended ${launcherPolicy.recommendedVersion || 'none'}${launcherPolicy.rejectOutdated ? ' (older rejected)' : ''}
+Rate limits: ${Object.entries(rateLimits.summary()).map(([name, limit]) => `${name} ${limit}`).join(', ')}
+
 `);
     } catch (err) {
-        console.error('Failed to start servers:', err);
+        logger.error('Failed to start servers', err);
         process.exit(1);
     }
 })();
@@ -0,0 +1,266 @@
+/**
+ * Storage backends
+ * - `PlayerDatabase` (database.js) is the storage interface server.js talks to. It keeps
+ *   all player, session and statistics logic and runs it through one of the drivers here.
+ * - A driver runs SQL with `?` placeholders and supplies the few SQL fragments that
+ *   differ between databases (`dialect`).
+ * - Backends: `sqlite` (file at DB_PATH), `memory` (SQLite in memory: the same driver on
+ *   an in-memory database rather than an adapter of its own; nothing touches disk, so
+ *   tests get a fresh database per instance) and `postgres` (DATABASE_URL, lets several
+ *   API instances share one database).
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const PlayerDatabase = require('./database');
+const { logger } = require('./logger');
+
+const BACKENDS = ['sqlite', 'memory', 'postgres'];
+
+class SqliteDriver {
+    constructor(dbPath) {
+        this.name = 'sqlite';
+        this.dialect = {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            timestamp: 'DATETIME',
+            now: 'CURRENT_TIMESTAMP',
+            ago: interval => `datetime('now', '-${interval}')`,
+            fromNow: interval => `datetime('now', '+${interval}')`,
+            secondsSince: column => `(strftime('%s', 'now') - strftime('%s', ${column}))`,
+            lockTable: null // one connection, so a transaction already runs alone
+        };
+
+        if (dbPath !== ':memory:') {
+            // Ensure data directory exists
+            const dir = path.dirname(dbPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        }
+
+        this.db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+                logger.error('Error opening database', err);
+                throw err;
+            }
+        });
+
+        if (dbPath !== ':memory:') {
+            // Set WAL mode for better concurrency
+            this.db.run('PRAGMA journal_mode = WAL', (err) => {
+                if (err) logger.error('Error setting WAL mode', err);
+            });
+        }
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        });
+    }
+
+    // INSERT into a table with an `id` column; resolves to the new id
+    async insert(sql, params = []) {
+        const result = await this.run(sql, params);
+        return result.lastID;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, err => (err ? reject(err) : resolve()));
+        });
+    }
+
+    async columns(table) {
+        const info = await this.all(`PRAGMA table_info(${table})`);
+        return info.map(col => col.name);
+    }
+
+    // SQLite has a single connection, so the callback just runs between BEGIN and COMMIT
+    async transaction(callback) {
+        await this.exec('BEGIN TRANSACTION');
+        try {
+            const result = await callback(this);
+            await this.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await this.exec('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.db.close((err) => {
+                if (err) {
+                    logger.error('Error closing database', err);
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+class PostgresDriver {
+    // `client` is a pg Pool, or a single pool client inside a transaction
+    constructor(client, pool = client) {
+        this.name = 'postgres';
+        this.client = client;
+        this.pool = pool;
+        this.dialect = {
+            id: 'SERIAL PRIMARY KEY',
+            timestamp: 'TIMESTAMP(0)',
+            now: 'LOCALTIMESTAMP(0)',
+            ago: interval => `(LOCALTIMESTAMP(0) - INTERVAL '${interval}')`,
+            fromNow: interval => `(LOCALTIMESTAMP(0) + INTERVAL '${interval}')`,
+            secondsSince: column => `CAST(EXTRACT(EPOCH FROM (LOCALTIMESTAMP(0) - ${column})) AS INTEGER)`,
+            lockTable: table => `LOCK TABLE ${table} IN EXCLUSIVE MODE`
+        };
+    }
+
+    static connect(connectionString) {
+        const { Pool, types } = require('pg');
+
+        // Return rows in the same shape as SQLite: timestamps as 'YYYY-MM-DD HH:MM:SS' UTC
+        // strings, and counts and averages as numbers
+        const parsers = {
+            [types.builtins.TIMESTAMP]: value => value,
+            [types.builtins.INT8]: value => parseInt(value, 10),
+            [types.builtins.NUMERIC]: value => parseFloat(value)
+        };
+
+        const pool = new Pool({
+            connectionString,
+            options: '-c timezone=UTC',
+            types: {
+                getTypeParser: (oid, format) => parsers[oid] || types.getTypeParser(oid, format)
+            }
+        });
+        pool.on('error', (err) => {
+            logger.error('Unexpected PostgreSQL client error', err);
+        });
+
+        return new PostgresDriver(pool);
+    }
+
+    // pg numbers its placeholders ($1, $2, ...)
+    query(sql, params = []) {
+        let index = 0;
+        return this.client.query(sql.replace(/\?/g, () => `$${++index}`), params);
+    }
+
+    async run(sql, params = []) {
+        const result = await this.query(sql, params);
+        return { changes: result.rowCount };
+    }
+
+    async insert(sql, params = []) {
+        const result = await this.query(`${sql} RETURNING id`, params);
+        return result.rows[0].id;
+    }
+
+    async get(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows[0];
+    }
+
+    async all(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows;
+    }
+
+    async exec(sql) {
+        await this.client.query(sql);
+    }
+
+    async columns(table) {
+        const rows = await this.all(
+            `SELECT column_name FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = ?`,
+            [table]
+        );
+        return rows.map(row => row.column_name);
+    }
+
+    // Queries in the callback run on one pooled connection, inside BEGIN/COMMIT
+    async transaction(callback) {
+        const client = await this.pool.connect();
+        const tx = new PostgresDriver(client, this.pool);
+        try {
+            await client.query('BEGIN');
+            const result = await callback(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async close() {
+        try {
+            await this.pool.end();
+        } catch (err) {
+            logger.error('Error closing database', err);
+        }
+    }
+}
+
+// Storage settings from the environment (STORAGE_BACKEND, DB_PATH, DATABASE_URL)
+function storageConfigFromEnv(env = process.env) {
+    return {
+        backend: env.STORAGE_BACKEND || 'sqlite',
+        dbPath: env.DB_PATH || './data/players.db',
+        databaseUrl: env.DATABASE_URL
+    };
+}
+
+// options: { backend, dbPath, databaseUrl }
+function createDriver({ backend = 'sqlite', dbPath = './data/players.db', databaseUrl } = {}) {
+    switch (backend) {
+        case 'sqlite':
+            return new SqliteDriver(dbPath);
+        case 'memory':
+            return new SqliteDriver(':memory:');
+        case 'postgres':
+            if (!databaseUrl) {
+                throw new Error('DATABASE_URL is required for the postgres storage backend');
+            }
+            return PostgresDriver.connect(databaseUrl);
+        default:
+            throw new Error(`Unknown storage backend: ${backend} (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+// The PlayerDatabase for a backend; its `ready` promise resolves once migrations have run.
+// databaseOptions are PlayerDatabase's (e.g. sessionTimeoutMs).
+function createStorage(options, databaseOptions) {
+    return new PlayerDatabase(createDriver(options), databaseOptions);
+}
+
+module.exports = {
+    BACKENDS,
+    SqliteDriver,
+    PostgresDriver,
+    storageConfigFromEnv,
+    createDriver,
+    createStorage
+};
@@ -0,0 +1,152 @@
+/**
+ * Broadcast subscriptions
+ * - Each client holds named subscriptions (channels). An event reaches the client when
+ *   any of its subscriptions matches; the filters inside one subscription must all match.
+ * - Snapshots and events carry unredacted sessions; each client gets the player view its
+ *   viewer may see (presenceFor: the public one unless the client identified as a player).
+ *   Filters only look at that view, so subscribing to a server or a list of UUIDs never
+ *   reveals anything a player chose to hide.
+ * - Every client keeps its own view of which sessions it has been sent, so a player that
+ *   stops matching a filter is delivered as a removal.
+ */
+
+const { normalizeUuid, normalizeServerAddress, presenceFor } = require('./database');
+const { schemas, checkObject } = require('./validation');
+
+const DEFAULT_CHANNEL = 'default';
+
+// Accepts filters from a subscribe message or a /ws or SSE query string.
+// Returns { filters } or { error, details } with the same details as request validation.
+function parseFilters(raw, location = 'filters') {
+    if (raw === undefined || raw === null) raw = {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        const details = [{ location, field: location, message: 'must be an object' }];
+        return { error: 'Filters must be an object', details };
+    }
+
+    const unknown = Object.keys(raw).find(key => !Object.prototype.hasOwnProperty.call(schemas.filters, key));
+    if (unknown) {
+        const details = [{ location, field: unknown, message: 'is not a known filter' }];
+        return { error: `Unknown filter: ${unknown}`, details };
+    }
+
+    const details = [];
+    const checked = checkObject(schemas.filters, raw, location, details, true);
+    if (details.length > 0) {
+        return { error: `${details[0].field} ${details[0].message}`, details };
+    }
+
+    const filters = {};
+    for (const [key, value] of Object.entries(checked)) {
+        if (value === undefined || value === null) continue;
+
+        if (key === 'serverAddress') filters.serverAddress = normalizeServerAddress(value);
+        else if (key === 'players') filters.players = value.map(uuid => normalizeUuid(uuid));
+        else filters[key] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    return { filters };
+}
+
+function matchesFilters(filters, player) {
+    if (filters.statsOnly) return false;
+    // Compared the way /api/servers groups players, so "host" matches "host:25565"
+    if (filters.serverAddress && normalizeServerAddress(player.server_address) !== filters.serverAddress) return false;
+    if (filters.minecraftVersion && player.minecraft_version !== filters.minecraftVersion) return false;
+    if (filters.gameMode && player.game_mode !== filters.gameMode) return false;
+    if (filters.players && !(player.uuid && filters.players.includes(player.uuid))) return false;
+    return true;
+}
+
+// New clients start with one unfiltered channel, i.e. they receive everything
+function createSubscriber(filters = {}) {
+    return {
+        subscriptions: new Map([[DEFAULT_CHANNEL, filters]]),
+        visible: new Set(),
+        viewer: null, // { playerId, friendIds } once the client identified as a player
+        lastSeq: 0
+    };
+}
+
+function matchesSubscriber(subscriber, player) {
+    for (const filters of subscriber.subscriptions.values()) {
+        if (matchesFilters(filters, player)) return true;
+    }
+    return false;
+}
+
+function wantsStats(subscriber) {
+    for (const filters of subscriber.subscriptions.values()) {
+        if (filters.statsOnly) return true;
+    }
+    return false;
+}
+
+// Narrow a full snapshot to this subscriber and reset its view to match
+function snapshotFor(subscriber, snapshot) {
+    const players = snapshot.sessions
+        .map(session => presenceFor(session, subscriber.viewer))
+        .filter(player => matchesSubscriber(subscriber, player));
+
+    subscriber.visible = new Set(players.map(player => player.session_id));
+    subscriber.lastSeq = snapshot.seq;
+
+    return {
+        seq: snapshot.seq,
+        players,
+        count: snapshot.count
+    };
+}
+
+// Translate a broadcast event into the message this subscriber should get, or null.
+// `prevSeq` is the seq of the previous message sent to the same subscriber, so filtered
+// clients can still detect missed messages even though the global seq has gaps for them.
+function eventFor(subscriber, event) {
+    let message = null;
+
+    if (event.change === 'removed') {
+        const sessionIds = event.sessionIds.filter(sessionId => subscriber.visible.delete(sessionId));
+        if (sessionIds.length > 0) {
+            message = { type: event.type, seq: event.seq, change: 'removed', sessionIds, count: event.count };
+        }
+    } else {
+        const player = presenceFor(event.session, subscriber.viewer);
+        const sessionId = player.session_id;
+        const wasVisible = subscriber.visible.has(sessionId);
+
+        if (matchesSubscriber(subscriber, player)) {
+            subscriber.visible.add(sessionId);
+            message = {
+                type: event.type,
+                seq: event.seq,
+                change: wasVisible ? 'updated' : 'added',
+                player,
+                count: event.count
+            };
+        } else if (wasVisible) {
+            // The player no longer matches (e.g. left the watched server)
+            subscriber.visible.delete(sessionId);
+            message = { type: event.type, seq: event.seq, change: 'removed', sessionIds: [sessionId], count: event.count };
+        }
+    }
+
+    // Stats-only subscribers just follow the online count
+    if (!message && event.change !== 'updated' && wantsStats(subscriber)) {
+        message = { type: event.type, seq: event.seq, count: event.count };
+    }
+
+    if (message) {
+        message.prevSeq = subscriber.lastSeq;
+        subscriber.lastSeq = event.seq;
+    }
+
+    return message;
+}
+
+module.exports = {
+    DEFAULT_CHANNEL,
+    parseFilters,
+    createSubscriber,
+    snapshotFor,
+    eventFor
+};
@@ -22,7 +22,7 @@ async function testAPI() {
         console.log('3. Testing player connect...');
         const connectResponse = await axios.post(`${API_URL}/api/player/connect`, {
             username: 'TestPlayer',
-            uuid: 'test-uuid-1234',
+            uuid: '00000000-0000-4000-8000-000000001234',
             launcherVersion: '2.6.0',
             privacy: {
                 showUsername: true,
@@ -34,6 +34,7 @@ async function testAPI() {
         
         if (connectResponse.data.success) {
             const sessionId = connectResponse.data.sessionId;
+            const auth = { Authorization: `Bearer ${connectResponse.data.sessionToken}` };
             console.log('✓ Player connected with session:', sessionId);
             console.log('');
             
@@ -51,7 +52,7 @@ async function testAPI() {
                 minecraftVersion: '1.20.4',
                 worldName: 'Test World',
                 serverAddress: null
-            }, { timeout: 5000 });
+            }, { headers: auth, timeout: 5000 });
             console.log('✓ Status updated:', statusResponse.data.message);
             console.log('');
             
@@ -59,7 +60,7 @@ async function testAPI() {
             console.log('6. Testing heartbeat...');
             const heartbeatResponse = await axios.post(`${API_URL}/api/player/heartbeat`, {
                 sessionId: sessionId
-            }, { timeout: 5000 });
+            }, { headers: auth, timeout: 5000 });
             console.log('✓ Heartbeat sent:', heartbeatResponse.data.message);
             console.log('');
             
@@ -67,7 +68,7 @@ async function testAPI() {
             console.log('7. Testing player disconnect...');
             const disconnectResponse = await axios.post(`${API_URL}/api/player/disconnect`, {
                 sessionId: sessionId
-            }, { timeout: 5000 });
+            }, { headers: auth, timeout: 5000 });
             console.log('✓ Player disconnected:', disconnectResponse.data.message);
             console.log('');
         }
@@ -0,0 +1,172 @@
+/**
+ * Checks the redis pub/sub bus and leader hand-off without a Redis server: two instances'
+ * buses share a fake Redis, and their LeaderElections share an in-memory database.
+ *
+ *   node test-cluster.js
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { createBus, LeaderElection } = require('./cluster');
+const { createStorage } = require('./storage');
+
+// Stands in for a Redis server: routes PUBLISH to every client subscribed to the channel,
+// on a later tick like a real round trip
+class FakeRedisServer {
+    constructor() {
+        this.subscribers = new Map(); // channel -> Set of listeners
+        this.createClient = options => new FakeRedisClient(this, options);
+    }
+
+    publish(channel, payload) {
+        const listeners = [...(this.subscribers.get(channel) || [])];
+        listeners.forEach(listener => setImmediate(() => listener(payload, channel)));
+        return listeners.length;
+    }
+}
+
+// The part of the redis package's client that RedisBus uses
+class FakeRedisClient extends EventEmitter {
+    constructor(server, options) {
+        super();
+        this.server = server;
+        this.options = options;
+        this.isOpen = false;
+        this.listeners = new Map(); // channel -> listener
+    }
+
+    duplicate() {
+        return new FakeRedisClient(this.server, this.options);
+    }
+
+    async connect() {
+        if (this.isOpen) throw new Error('Socket already opened');
+        this.isOpen = true;
+    }
+
+    async publish(channel, payload) {
+        this.checkOpen();
+        if (this.listeners.size > 0) throw new Error('Cannot publish on a subscribed connection');
+        return this.server.publish(channel, payload);
+    }
+
+    async subscribe(channel, listener) {
+        this.checkOpen();
+        if (!this.server.subscribers.has(channel)) this.server.subscribers.set(channel, new Set());
+        this.server.subscribers.get(channel).add(listener);
+        this.listeners.set(channel, listener);
+    }
+
+    async disconnect() {
+        this.checkOpen();
+        this.listeners.forEach((listener, channel) => this.server.subscribers.get(channel).delete(listener));
+        this.listeners.clear();
+        this.isOpen = false;
+    }
+
+    checkOpen() {
+        if (!this.isOpen) throw new Error('The client is closed');
+    }
+}
+
+// Resolves once every delivery queued so far has run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testCluster() {
+    console.log('Testing cluster pub/sub and leader election...\n');
+
+    const redis = new FakeRedisServer();
+    const options = { backend: 'redis', redisUrl: 'redis://fake:6379', createClient: redis.createClient };
+    const buses = [createBus(options), createBus(options)];
+    const db = createStorage({ backend: 'memory' });
+    const elections = [];
+
+    try {
+        await db.ready;
+        for (const bus of buses) await bus.connect();
+
+        // Test 1: every instance gets every event, in order, its own included
+        console.log('1. Testing publish/subscribe across instances...');
+        const received = [[], []];
+        await buses[0].subscribe('player-events', message => received[0].push(message));
+        await buses[1].subscribe('player-events', message => received[1].push(message));
+        await buses[0].publish('player-events', { change: 'added', sessionIds: ['a'] });
+        await buses[1].publish('player-events', { change: 'removed', sessionIds: ['a'] });
+        await settle();
+        received.forEach(messages => assert.deepStrictEqual(messages.map(message => message.change), ['added', 'removed']));
+        console.log('✓ Both instances received both events');
+        console.log('');
+
+        // Test 2: a payload that isn't JSON is dropped without reaching handlers
+        console.log('2. Testing malformed messages...');
+        redis.publish('player-events', 'not json');
+        await settle();
+        assert.strictEqual(received[0].length, 2);
+        console.log('✓ Malformed message ignored');
+        console.log('');
+
+        // Test 3: stopping the leader hands the lease over on the next renewal
+        console.log('3. Testing leader hand-off on stop...');
+        elections.push(
+            new LeaderElection(db, { name: 'maintenance', holder: 'instance-a', ttlMs: 60000 }),
+            new LeaderElection(db, { name: 'maintenance', holder: 'instance-b', ttlMs: 60000 })
+        );
+        await elections[0].start();
+        await elections[1].start();
+        assert.strictEqual(elections[0].isLeader, true);
+        assert.strictEqual(elections[1].isLeader, false);
+
+        await elections[0].stop();
+        await elections[1].renew();
+        assert.strictEqual(elections[0].isLeader, false);
+        assert.strictEqual(elections[1].isLeader, true);
+
+        // The new leader's broadcasts (e.g. from cleanup) still reach the other instance
+        await buses[1].publish('player-events', { change: 'removed', sessionIds: ['b'] });
+        await settle();
+        assert.deepStrictEqual(received[0][received[0].length - 1].sessionIds, ['b']);
+        console.log('✓ instance-b took over and its events reach instance-a');
+        console.log('');
+
+        // Test 4: a leader that disappears without releasing loses the lease after its TTL
+        console.log('4. Testing leader hand-off after a crash...');
+        await elections[1].stop();
+        elections.push(
+            new LeaderElection(db, { name: 'cleanup', holder: 'instance-a', ttlMs: 1000 }),
+            new LeaderElection(db, { name: 'cleanup', holder: 'instance-b', ttlMs: 1000 })
+        );
+        await elections[2].renew();
+        await elections[3].renew();
+        assert.strictEqual(elections[2].isLeader, true);
+        assert.strictEqual(elections[3].isLeader, false);
+
+        elections[2].stopped = true; // crashed: no more renewals, no release
+        await sleep(2100);
+        await elections[3].renew();
+        assert.strictEqual(elections[3].isLeader, true);
+        console.log('✓ instance-b took over once the lease expired');
+        console.log('');
+
+        // Test 5: a closed bus leaves the channel and can't publish
+        console.log('5. Testing close...');
+        await buses[0].close();
+        await buses[1].publish('player-events', { change: 'updated', sessionIds: ['c'] });
+        await settle();
+        assert.strictEqual(received[0].length, 3);
+        assert.strictEqual(received[1].length, 4);
+        await assert.rejects(buses[0].publish('player-events', { change: 'updated', sessionIds: ['d'] }));
+        console.log('✓ Closed bus no longer sends or receives');
+        console.log('');
+
+        console.log('✅ All tests passed!\n');
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await Promise.allSettled([...elections.map(election => election.stop()), ...buses.map(bus => bus.close())]);
+        await db.close();
+    }
+}
+
+testCluster();
@@ -29,14 +29,19 @@ test_endpoint() {
     
     echo -ne "${BLUE}Testing:${NC} $name ... "
     
-    if [ "$method" == "GET" ]; then
+    if [ "$method" == "GET" ] && [ -n "$SESSION_TOKEN" ]; then
+        response=$(curl -s -w "\n%{http_code}" -H "Authorization: Bearer $SESSION_TOKEN" "$API_URL$endpoint")
+    elif [ "$method" == "GET" ]; then
         response=$(curl -s -w "\n%{http_code}" "$API_URL$endpoint")
+    elif [ -n "$SESSION_TOKEN" ]; then
+        response=$(curl -s -w "\n%{http_code}" -X $method -H "Content-Type: application/json" -H "Authorization: Bearer $SESSION_TOKEN" -d "$data" "$API_URL$endpoint")
     else
         response=$(curl -s -w "\n%{http_code}" -X $method -H "Content-Type: application/json" -d "$data" "$API_URL$endpoint")
     fi
     
     http_code=$(echo "$response" | tail -n1)
     body=$(echo "$response" | sed '$d')
+    LAST_BODY=$body
     
     if [ "$http_code" -ge 200 ] && [ "$http_code" -lt 300 ]; then
         echo -e "${GREEN}✓ PASSED${NC} (HTTP $http_code)"
@@ -52,11 +57,16 @@ test_endpoint() {
 
 # Test health check
 test_endpoint "Health Check" "GET" "/health"
+test_endpoint "Liveness" "GET" "/health/live"
+test_endpoint "Readiness" "GET" "/health/ready"
+
+# Test metrics (fails when METRICS_TOKEN is set)
+test_endpoint "Metrics" "GET" "/metrics"
 
 # Test player connect
-SESSION_DATA=$(test_endpoint "Player Connect" "POST" "/api/player/connect" '{
+test_endpoint "Player Connect" "POST" "/api/player/connect" '{
     "username": "TestPlayer",
-    "uuid": "test-uuid-123",
+    "uuid": "00000000-0000-4000-8000-000000000123",
     "launcherVersion": "2.6.0",
     "privacy": {
         "showUsername": true,
@@ -64,11 +74,12 @@ SESSION_DATA=$(test_endpoint "Player Connect" "POST" "/api/player/connect" '{
         "showWorld": true,
         "showServer": false
     }
-}')
+}'
 
-# Extract session ID from response (if successful)
+# Extract session ID and token from response (if successful)
 if [ $? -eq 0 ]; then
-    SESSION_ID=$(echo "$SESSION_DATA" | grep -o '"sessionId":"[^"]*"' | cut -d'"' -f4)
+    SESSION_ID=$(echo "$LAST_BODY" | grep -o '"sessionId":"[^"]*"' | cut -d'"' -f4)
+    SESSION_TOKEN=$(echo "$LAST_BODY" | grep -o '"sessionToken":"[^"]*"' | cut -d'"' -f4)
     echo "   Session ID: $SESSION_ID"
 fi
 
@@ -78,6 +89,11 @@ test_endpoint "Get Online Players" "GET" "/api/players/online"
 # Test get statistics
 test_endpoint "Get Statistics" "GET" "/api/stats"
 
+# Test server list
+test_endpoint "Get Servers" "GET" "/api/servers"
+test_endpoint "Get Leaderboard" "GET" "/api/leaderboards/playtime?window=week"
+test_endpoint "Get Launcher Versions" "GET" "/api/stats/launcher-versions"
+
 # Test player status update (if we have a session ID)
 if [ ! -z "$SESSION_ID" ]; then
     test_endpoint "Update Player Status" "POST" "/api/player/status" "{
@@ -88,6 +104,29 @@ if [ ! -z "$SESSION_ID" ]; then
         \"serverAddress\": null
     }"
     
+    # Test rich presence update
+    test_endpoint "Update Rich Presence" "POST" "/api/player/status" "{
+        \"presence\": {
+            \"modpack\": { \"name\": \"Test Pack\", \"version\": \"1.0.0\" },
+            \"loader\": \"fabric\",
+            \"dimension\": \"minecraft:overworld\",
+            \"party\": { \"size\": 1, \"max\": 4 },
+            \"joinable\": false
+        }
+    }"
+    
+    # Test privacy update
+    test_endpoint "Update Privacy" "POST" "/api/player/privacy" "{
+        \"showWorld\": \"friends\",
+        \"showServer\": false
+    }"
+    
+    # Test data export
+    test_endpoint "Export Player Data" "GET" "/api/player/me/export"
+    
+    # Test friends list
+    test_endpoint "Get Friends" "GET" "/api/friends"
+    
     # Test heartbeat
     test_endpoint "Heartbeat" "POST" "/api/player/heartbeat" "{
         \"sessionId\": \"$SESSION_ID\"
@@ -101,6 +140,24 @@ else
     echo -e "${RED}⚠${NC}  Skipping status update, heartbeat, and disconnect tests (no session ID)"
 fi
 
+# Test that a launcher without a version is refused (only when the server runs with
+# LAUNCHER_REJECT_OUTDATED=true and LAUNCHER_MIN_VERSION set; pass the same variables here)
+if [ "$LAUNCHER_REJECT_OUTDATED" == "true" ] && [ -n "$LAUNCHER_MIN_VERSION" ]; then
+    echo -ne "${BLUE}Testing:${NC} Connect Without Launcher Version ... "
+    response=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d '{
+        "username": "NoVersionPlayer",
+        "uuid": "00000000-0000-4000-8000-000000000124"
+    }' "$API_URL/api/player/connect")
+    http_code=$(echo "$response" | tail -n1)
+    if [ "$http_code" -eq 426 ]; then
+        echo -e "${GREEN}✓ PASSED${NC} (HTTP $http_code)"
+        PASSED=$((PASSED + 1))
+    else
+        echo -e "${RED}✗ FAILED${NC} (Expected 426, got $http_code)"
+        FAILED=$((FAILED + 1))
+    fi
+fi
+
 # Test 404 handling
 echo -ne "${BLUE}Testing:${NC} 404 Error Handling ... "
 response=$(curl -s -w "\n%{http_code}" "$API_URL/api/nonexistent")
@@ -113,6 +170,17 @@ else
     FAILED=$((FAILED + 1))
 fi
 
+# Test rate limit headers
+echo -ne "${BLUE}Testing:${NC} Rate Limit Headers ... "
+headers=$(curl -s -D - -o /dev/null "$API_URL/api/stats")
+if echo "$headers" | grep -qi "^RateLimit-Remaining:"; then
+    echo -e "${GREEN}✓ PASSED${NC}"
+    PASSED=$((PASSED + 1))
+else
+    echo -e "${RED}✗ FAILED${NC} (No RateLimit-Remaining header)"
+    FAILED=$((FAILED + 1))
+fi
+
 # Summary
 echo ""
 echo "╔═══════════════════════════════════════════════════════╗"
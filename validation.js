@@ -0,0 +1,480 @@
+/**
+ * Request validation
+ * - Routes declare schemas for `params`, `query` and `body`; `validate` rejects requests
+ *   that don't match with a 400 listing every failing field.
+ * - Query strings and route params arrive as strings, so integers, booleans and lists
+ *   there are coerced before checking, and the parsed values replace the originals.
+ * - Fields a schema doesn't mention are left alone, except in objects marked `strict`.
+ */
+
+const net = require('net');
+const PlayerDatabase = require('./database');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+const STATUSES = ['online', 'playing', 'idle'];
+const GAME_MODES = ['idle', 'singleplayer', 'multiplayer', 'realms'];
+const BAN_TYPES = ['uuid', 'username', 'ip'];
+const MOD_LOADERS = ['vanilla', 'fabric', 'forge', 'neoforge', 'quilt'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const MINECRAFT_USERNAME = /^[A-Za-z0-9_]{3,16}$/;
+const UUID = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+const HOST_NAME = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+const IPV6 = /^\[[0-9a-f:.]+\]$/i;
+
+// host, host:port, [ipv6] or [ipv6]:port
+function isServerAddress(value) {
+    const match = /^(.+?)(?::(\d{1,5}))?$/.exec(value);
+    if (!match) return false;
+
+    const [, host, port] = match;
+    if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) return false;
+    return HOST_NAME.test(host) || IPV6.test(host);
+}
+
+const formats = {
+    minecraftUsername: {
+        test: value => MINECRAFT_USERNAME.test(value),
+        message: 'must be a Minecraft username (3-16 letters, digits or underscores)'
+    },
+    uuid: {
+        test: value => UUID.test(value),
+        message: 'must be a UUID'
+    },
+    playerIdentifier: {
+        test: value => UUID.test(value) || MINECRAFT_USERNAME.test(value),
+        message: 'must be a UUID or Minecraft username'
+    },
+    serverAddress: {
+        test: isServerAddress,
+        message: 'must be a host name or IP address with an optional port'
+    },
+    httpUrl: {
+        test: (value) => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        },
+        message: 'must be an http or https URL'
+    },
+    date: {
+        test: value => !isNaN(new Date(value).getTime()),
+        message: 'must be a valid date'
+    }
+};
+
+// Strings from query strings and params, parsed to the type the rule expects
+function coerce(rule, value) {
+    if (typeof value !== 'string') return value;
+
+    switch (rule.type) {
+        case 'integer':
+            return /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        case 'array':
+            return value.split(',');
+        default:
+            return value;
+    }
+}
+
+function checkValue(rule, value, location, field, errors, coerceStrings) {
+    const fail = (message) => {
+        errors.push({ location, field, message });
+        return value;
+    };
+
+    if (value === undefined || (coerceStrings && value === '')) {
+        if (rule.required) fail('is required');
+        return undefined;
+    }
+    if (value === null) {
+        if (!rule.nullable) fail('must not be null');
+        return null;
+    }
+
+    if (coerceStrings) value = coerce(rule, value);
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(`must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must be at most ${rule.maxLength} characters`);
+            }
+            break;
+
+        case 'integer':
+            if (!Number.isInteger(value)) return fail('must be an integer');
+            if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('must be a boolean');
+            break;
+
+        // Privacy settings: true (everyone), false (nobody) or 'friends'
+        case 'visibility':
+            if (typeof value !== 'boolean' && value !== 'friends') return fail("must be true, false or 'friends'");
+            break;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+            if (rule.strict) {
+                const unknown = Object.keys(value).filter(name => !(rule.properties || {})[name]);
+                if (unknown.length > 0) fail(`has unknown fields: ${unknown.join(', ')}`);
+            }
+            value = checkObject(rule.properties || {}, value, location, errors, coerceStrings, `${field}.`);
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be a list');
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return fail(`must have at least ${rule.minItems} items`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail(`must have at most ${rule.maxItems} items`);
+            }
+            if (rule.items) {
+                value = value.map((item, index) => (
+                    checkValue(rule.items, item, location, `${field}[${index}]`, errors, coerceStrings)
+                ));
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.format && !formats[rule.format].test(value)) {
+        return fail(formats[rule.format].message);
+    }
+
+    return value;
+}
+
+// Checks every property the schema declares; returns the object with coerced values
+function checkObject(properties, object, location, errors, coerceStrings = false, prefix = '') {
+    const checked = { ...object };
+
+    for (const [name, rule] of Object.entries(properties)) {
+        const value = checkValue(rule, object[name], location, `${prefix}${name}`, errors, coerceStrings);
+        if (value !== undefined) checked[name] = value;
+    }
+
+    return checked;
+}
+
+// A ban's value has to match its type; returns an error message or null
+function checkBanValue(type, value) {
+    if (type === 'uuid' && !formats.uuid.test(value)) return formats.uuid.message;
+    if (type === 'username' && !formats.minecraftUsername.test(value)) return formats.minecraftUsername.message;
+    if (type === 'ip' && !net.isIP(value)) return 'must be an IP address';
+    return null;
+}
+
+function sendValidationError(res, details) {
+    return res.status(400).json({
+        error: 'Validation failed',
+        details
+    });
+}
+
+// Express middleware for a route schema { params, query, body }
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) continue;
+
+            const source = req[location] === undefined ? {} : req[location];
+            if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+                errors.push({ location, field: location, message: 'must be an object' });
+                continue;
+            }
+
+            const checked = checkObject(schema[location], source, location, errors, location !== 'body');
+            if (location !== 'body') req[location] = checked;
+        }
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        next();
+    };
+}
+
+// ===== Schemas =====
+const privacyFlag = { type: 'visibility' };
+const privacySettings = {
+    showUsername: privacyFlag,
+    showVersion: privacyFlag,
+    showWorld: privacyFlag,
+    showServer: privacyFlag,
+    showModpack: privacyFlag,
+    showParty: privacyFlag,
+    // Opt-in only; there is no friends-only leaderboard
+    showOnLeaderboard: { type: 'boolean' }
+};
+const sessionIdField = { type: 'string', format: 'uuid' };
+
+// Rich presence; each field's privacy setting is in PRESENCE_FIELDS (database.js)
+const presence = {
+    type: 'object',
+    nullable: true,
+    strict: true,
+    properties: {
+        modpack: {
+            type: 'object',
+            nullable: true,
+            strict: true,
+            properties: {
+                name: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+                version: { type: 'string', maxLength: 32, nullable: true }
+            }
+        },
+        loader: { type: 'string', enum: MOD_LOADERS, nullable: true },
+        dimension: { type: 'string', maxLength: 64, nullable: true },
+        party: {
+            type: 'object',
+            nullable: true,
+            strict: true,
+            properties: {
+                size: { type: 'integer', required: true, min: 1, max: 1000 },
+                max: { type: 'integer', min: 1, max: 1000, nullable: true }
+            }
+        },
+        joinable: { type: 'boolean', nullable: true },
+        joinSecret: { type: 'string', maxLength: 128, nullable: true }
+    }
+};
+
+const playerStatus = {
+    sessionId: sessionIdField,
+    status: { type: 'string', enum: STATUSES },
+    minecraftVersion: { type: 'string', maxLength: 64, nullable: true },
+    worldName: { type: 'string', maxLength: 128, nullable: true },
+    serverAddress: { type: 'string', maxLength: 255, format: 'serverAddress', nullable: true },
+    gameMode: { type: 'string', enum: GAME_MODES, nullable: true },
+    presence
+};
+
+const webhookUrl = { type: 'string', required: true, maxLength: 2048, format: 'httpUrl' };
+const webhookEvents = {
+    type: 'array',
+    minItems: 1,
+    maxItems: WEBHOOK_EVENTS.length,
+    items: { type: 'string', enum: WEBHOOK_EVENTS }
+};
+
+const schemas = {
+    connect: {
+        body: {
+            username: { type: 'string', required: true, format: 'minecraftUsername' },
+            uuid: { type: 'string', format: 'uuid', nullable: true },
+            launcherVersion: { type: 'string', maxLength: 32, nullable: true },
+            // Issued on the player's first connect; proves later connects are the same player
+            playerSecret: { type: 'string', maxLength: 128, nullable: true },
+            privacy: {
+                type: 'object',
+                nullable: true,
+                strict: true,
+                properties: privacySettings
+            }
+        }
+    },
+
+    status: {
+        body: playerStatus
+    },
+
+    // Settings left out keep their current value
+    privacy: {
+        body: {
+            sessionId: sessionIdField,
+            ...privacySettings
+        }
+    },
+
+    session: {
+        body: {
+            sessionId: sessionIdField
+        }
+    },
+
+    player: {
+        params: {
+            uuid: { type: 'string', required: true, format: 'playerIdentifier' }
+        }
+    },
+
+    playerSessions: {
+        params: {
+            uuid: { type: 'string', required: true, format: 'playerIdentifier' }
+        },
+        query: {
+            limit: { type: 'integer', min: 1, max: 100 },
+            offset: { type: 'integer', min: 0 }
+        }
+    },
+
+    servers: {
+        query: {
+            limit: { type: 'integer', min: 1, max: 100 }
+        }
+    },
+
+    server: {
+        params: {
+            address: { type: 'string', required: true, maxLength: 255, format: 'serverAddress' }
+        }
+    },
+
+    launcherVersions: {
+        query: {
+            days: { type: 'integer', min: 1, max: 365 }
+        }
+    },
+
+    leaderboard: {
+        params: {
+            board: { type: 'string', required: true, enum: PlayerDatabase.LEADERBOARDS }
+        },
+        query: {
+            window: { type: 'string', enum: PlayerDatabase.LEADERBOARD_WINDOWS },
+            limit: { type: 'integer', min: 1, max: 100 },
+            offset: { type: 'integer', min: 0 }
+        }
+    },
+
+    statsHistory: {
+        query: {
+            metric: { type: 'string', required: true, enum: PlayerDatabase.STATS_HISTORY_METRICS },
+            bucket: { type: 'string', enum: Object.keys(PlayerDatabase.STATS_BUCKETS) },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' }
+        }
+    },
+
+    adminSession: {
+        params: {
+            sessionId: { type: 'string', required: true, format: 'uuid' }
+        }
+    },
+
+    adminPlayer: {
+        params: {
+            player: { type: 'string', required: true, format: 'playerIdentifier' }
+        }
+    },
+
+    adminBan: {
+        params: {
+            id: { type: 'integer', required: true, min: 1 }
+        }
+    },
+
+    banCreate: {
+        body: {
+            type: { type: 'string', required: true, enum: BAN_TYPES },
+            value: { type: 'string', required: true, maxLength: 64 },
+            reason: { type: 'string', maxLength: 500, nullable: true },
+            expiresAt: { type: 'string', format: 'date', nullable: true }
+        }
+    },
+
+    friendTarget: {
+        body: {
+            player: { type: 'string', required: true, format: 'playerIdentifier' }
+        }
+    },
+
+    friend: {
+        params: {
+            player: { type: 'string', required: true, format: 'playerIdentifier' }
+        }
+    },
+
+    statsReset: {
+        body: {
+            includeHistory: { type: 'boolean' }
+        }
+    },
+
+    auditLog: {
+        query: {
+            limit: { type: 'integer', min: 1, max: 200 },
+            offset: { type: 'integer', min: 0 }
+        }
+    },
+
+    webhook: {
+        params: {
+            id: { type: 'integer', required: true, min: 1 }
+        }
+    },
+
+    webhookCreate: {
+        body: {
+            url: webhookUrl,
+            events: { ...webhookEvents, required: true },
+            description: { type: 'string', maxLength: 200, nullable: true }
+        }
+    },
+
+    // Fields left out keep their value
+    webhookUpdate: {
+        params: {
+            id: { type: 'integer', required: true, min: 1 }
+        },
+        body: {
+            url: { ...webhookUrl, required: false },
+            events: webhookEvents,
+            description: { type: 'string', maxLength: 200, nullable: true },
+            enabled: { type: 'boolean' }
+        }
+    },
+
+    webhookDeliveries: {
+        params: {
+            id: { type: 'integer', required: true, min: 1 }
+        },
+        query: {
+            status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+            limit: { type: 'integer', min: 1, max: 200 },
+            offset: { type: 'integer', min: 0 }
+        }
+    },
+
+    // Broadcast subscription filters (WebSocket subscribe, /ws and SSE query strings)
+    filters: {
+        serverAddress: { type: 'string', maxLength: 255 },
+        minecraftVersion: { type: 'string', maxLength: 64 },
+        gameMode: { type: 'string', enum: GAME_MODES },
+        players: { type: 'array', maxItems: 200, items: { type: 'string', format: 'uuid' } },
+        statsOnly: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    STATUSES,
+    GAME_MODES,
+    BAN_TYPES,
+    schemas,
+    checkObject,
+    checkBanValue,
+    validate,
+    sendValidationError
+};
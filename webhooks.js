@@ -0,0 +1,200 @@
+/**
+ * Outbound webhooks
+ * - Admins register a URL and the events it receives. Every matching event is queued in
+ *   webhook_deliveries and POSTed to the URL as JSON by the WebhookDispatcher.
+ * - Requests are signed: X-Purplixi-Signature is "sha256=" followed by the hex
+ *   HMAC-SHA256 of "<X-Purplixi-Timestamp>.<body>" under the webhook's secret.
+ * - Network errors, timeouts and non-2xx responses are retried with exponential backoff.
+ *   A delivery still failing after the last attempt is marked failed, and a webhook whose
+ *   deliveries keep failing is disabled.
+ * - Events are queued by the instance they happen on and sent by the cluster leader only,
+ *   so each delivery goes out once. Players appear as the public sees them.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const { presenceFor } = require('./database');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = ['player_connected', 'player_disconnected', 'player_updated', 'daily_peak'];
+
+// "<timestamp>.<body>", so a captured request can't be replayed with a new timestamp
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function createSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Resolves to the response status code; rejects on network errors and timeouts.
+// Redirects are not followed.
+function postJson(url, body, headers, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'Purplixi-Webhooks/1.0',
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (response) => {
+            response.resume(); // the body is not used
+            resolve(response.statusCode);
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// The webhook events ({ event, data, playerId }) for a player event from the bus; none if
+// webhooks don't receive it. Ended sessions give one player_disconnected per player, so
+// each delivery belongs to a single player.
+function webhookEventsFor(playerEvent) {
+    switch (playerEvent.type) {
+        case 'player_connected':
+        case 'player_updated':
+            return [{
+                event: playerEvent.type,
+                data: { player: presenceFor(playerEvent.session), count: playerEvent.count },
+                playerId: playerEvent.session.player_id
+            }];
+        case 'player_disconnected':
+        case 'cleanup': {
+            const byPlayer = new Map();
+            playerEvent.sessionIds.forEach((sessionId) => {
+                const playerId = (playerEvent.playerIds || {})[sessionId] || null;
+                if (!byPlayer.has(playerId)) byPlayer.set(playerId, []);
+                byPlayer.get(playerId).push(sessionId);
+            });
+            return [...byPlayer].map(([playerId, sessionIds]) => ({
+                event: 'player_disconnected',
+                data: {
+                    sessionIds,
+                    reason: playerEvent.type === 'cleanup' ? 'timeout' : 'disconnect',
+                    count: playerEvent.count
+                },
+                playerId
+            }));
+        }
+        default:
+            return [];
+    }
+}
+
+class WebhookDispatcher {
+    // options: { maxAttempts, backoffMs, disableAfter, timeoutMs, batchSize }
+    constructor(db, { maxAttempts = 6, backoffMs = 10000, disableAfter = 10, timeoutMs = 10000, batchSize = 20 } = {}) {
+        this.db = db;
+        this.maxAttempts = maxAttempts;
+        this.backoffMs = backoffMs;
+        this.disableAfter = disableAfter;
+        this.timeoutMs = timeoutMs;
+        this.batchSize = batchSize;
+        this.running = null;
+        this.rerun = false;
+        this.stopped = false;
+    }
+
+    // Queue an event for every webhook that receives it; resolves to the number queued.
+    // `playerId` is the player the event identifies, if any (see anonymizePlayer).
+    async enqueue(event, data, playerId = null) {
+        const payload = JSON.stringify({ event, timestamp: new Date().toISOString(), data });
+        return this.db.queueWebhookDeliveries(event, payload, playerId);
+    }
+
+    async enqueuePlayerEvent(playerEvent) {
+        let queued = 0;
+        for (const { event, data, playerId } of webhookEventsFor(playerEvent)) {
+            queued += await this.enqueue(event, data, playerId);
+        }
+        return queued;
+    }
+
+    // Send every due delivery. Calls while a run is in progress make it go around again
+    // instead of running alongside it.
+    async deliverDue() {
+        if (this.stopped) return undefined;
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        this.running = (async () => {
+            do {
+                this.rerun = false;
+                let due;
+                do {
+                    due = await this.db.getDueWebhookDeliveries(this.batchSize);
+                    await Promise.all(due.map(delivery => this.attempt(delivery)));
+                } while (due.length === this.batchSize && !this.stopped);
+            } while (this.rerun && !this.stopped);
+        })();
+
+        try {
+            await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    // Let the current run record its attempts, and start no new ones
+    async stop() {
+        this.stopped = true;
+        if (this.running) await this.running.catch(() => {});
+    }
+
+    async attempt(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            responseStatus = await postJson(delivery.url, delivery.payload, {
+                'X-Purplixi-Event': delivery.event,
+                'X-Purplixi-Delivery': String(delivery.id),
+                'X-Purplixi-Timestamp': String(timestamp),
+                'X-Purplixi-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+            }, this.timeoutMs);
+            if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        try {
+            const attempts = delivery.attempts + 1;
+            if (!error || attempts >= this.maxAttempts) {
+                const disabled = await this.db.finishWebhookDelivery(delivery.id, {
+                    delivered: !error,
+                    responseStatus,
+                    error,
+                    disableAfter: this.disableAfter
+                });
+                if (disabled) {
+                    logger.warn('Disabled webhook after failed deliveries', { webhookId: delivery.webhook_id, failures: this.disableAfter });
+                }
+            } else {
+                // 10s, 20s, 40s, ... with the defaults
+                const retryInSeconds = (this.backoffMs * 2 ** (attempts - 1)) / 1000;
+                await this.db.retryWebhookDelivery(delivery.id, { responseStatus, error, retryInSeconds });
+            }
+        } catch (err) {
+            logger.error('Error recording webhook delivery', { deliveryId: delivery.id, err });
+        }
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    createSecret,
+    webhookEventsFor,
+    WebhookDispatcher
+};